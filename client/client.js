@@ -11,91 +11,142 @@
 (function() {
   'use strict';
 
+  // Loaded twice (script tag and module import) - keep the first instance
+  if (window.episteryWhiteList) {
+    return;
+  }
+
   const EPISTERY_SUBDOMAIN = getEpisterySubdomain();
   const DELEGATION_COOKIE_NAME = 'epistery_delegation';
-  const ACCESS_DENIED_HTML = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Access Denied</title>
-      <style>
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          min-height: 100vh;
-          margin: 0;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        }
-        .container {
-          background: white;
-          padding: 3rem;
-          border-radius: 16px;
-          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-          max-width: 500px;
-          text-align: center;
-        }
-        h1 {
-          color: #2d3748;
-          margin: 0 0 1rem 0;
-          font-size: 2rem;
-        }
-        p {
-          color: #4a5568;
-          line-height: 1.6;
-          margin: 0 0 2rem 0;
-        }
-        .icon {
-          font-size: 4rem;
-          margin-bottom: 1rem;
-        }
-        .address {
-          background: #f7fafc;
-          padding: 0.5rem 1rem;
-          border-radius: 8px;
-          font-family: monospace;
-          font-size: 0.875rem;
-          margin: 1rem 0;
-          word-break: break-all;
-        }
-        .button {
-          display: inline-block;
-          background: #667eea;
-          color: white;
-          padding: 0.75rem 2rem;
-          border-radius: 8px;
-          text-decoration: none;
-          font-weight: 600;
-          transition: all 0.2s;
-        }
-        .button:hover {
-          background: #5a67d8;
-          transform: translateY(-2px);
-          box-shadow: 0 4px 12px rgba(102, 126, 234, 0.4);
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="icon">🔒</div>
-        <h1>Access Denied</h1>
-        <p>Your wallet address is not authorized to access this site.</p>
-        <div class="address" id="currentAddress">Loading...</div>
-        <p>If you believe this is an error, please contact the site administrator.</p>
-        <a href="https://${EPISTERY_SUBDOMAIN}/status" class="button">View Epistery Status</a>
+  const TOKEN_PREFIX = 'v1.';
+  const DEFAULT_RENEW_WINDOW_SECONDS = 3 * 24 * 60 * 60;
+  const RENEW_TIMEOUT_MS = 10000;
+  const MAX_TIMER_MS = 2147483647; // setTimeout overflows beyond ~24.8 days
+  const DEFAULT_SCOPE = ['whitelist:read'];
+  const POPUP_TIMEOUT_MS = 5 * 60 * 1000;
+  const POPUP_POLL_MS = 500;
+  const POPUP_WIDTH = 480;
+  const POPUP_HEIGHT = 640;
+  const DENIED_OVERLAY_ID = 'epistery-denied-overlay';
+  const ACCESS_CACHE_PREFIX = 'epistery_access:';
+  const REQUEST_POLL_MS = 30000;
+
+  // Default access-denied texts; override with
+  // <meta name="epistery-denied-strings" content='{"title": "Accès refusé", ...}'>
+  const DEFAULT_DENIED_STRINGS = {
+    title: 'Access Denied',
+    message: 'Your identity is not authorized to access this site.',
+    help: 'If you believe this is an error, please contact the site administrator.',
+    requestAccess: 'Request access',
+    requestMessage: 'Tell the site why you need access (optional)',
+    requestPending: 'Your request has been sent. This page opens as soon as it is approved.',
+    requestApproved: 'Your request was approved.',
+    requestRejected: 'Your request was declined.',
+    switchIdentity: 'Use a different identity'
+  };
+
+  // Overlay placement, also used with publisher templates
+  const DENIED_OVERLAY_STYLES = `
+    #${DENIED_OVERLAY_ID} {
+      position: fixed;
+      inset: 0;
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      overflow: auto;
+    }
+    #${DENIED_OVERLAY_ID} [hidden] {
+      display: none !important;
+    }
+  `;
+
+  const DENIED_STYLES = `
+    #${DENIED_OVERLAY_ID} {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-box {
+      background: white;
+      padding: 3rem;
+      margin: 1rem;
+      border-radius: 16px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      max-width: 500px;
+      text-align: center;
+    }
+    #${DENIED_OVERLAY_ID} h1 {
+      color: #2d3748;
+      margin: 0 0 1rem 0;
+      font-size: 2rem;
+    }
+    #${DENIED_OVERLAY_ID} p {
+      color: #4a5568;
+      line-height: 1.6;
+      margin: 0 0 1.5rem 0;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-icon {
+      font-size: 4rem;
+      margin-bottom: 1rem;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-address {
+      background: #f7fafc;
+      padding: 0.5rem 1rem;
+      border-radius: 8px;
+      font-family: monospace;
+      font-size: 0.875rem;
+      margin: 1rem 0;
+      word-break: break-all;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-message {
+      display: block;
+      box-sizing: border-box;
+      width: 100%;
+      margin: 0 0 1rem 0;
+      padding: 0.75rem;
+      border: 1px solid #cbd5e0;
+      border-radius: 8px;
+      font: inherit;
+      resize: vertical;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-actions {
+      display: flex;
+      gap: 0.75rem;
+      justify-content: center;
+      flex-wrap: wrap;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-button {
+      display: inline-block;
+      background: #667eea;
+      color: white;
+      padding: 0.75rem 1.5rem;
+      border: none;
+      border-radius: 8px;
+      font: inherit;
+      font-weight: 600;
+      text-decoration: none;
+      cursor: pointer;
+    }
+    #${DENIED_OVERLAY_ID} .epistery-denied-button.secondary {
+      background: #edf2f7;
+      color: #2d3748;
+    }
+  `;
+
+  const DEFAULT_DENIED_TEMPLATE = `
+    <div class="epistery-denied-box">
+      <div class="epistery-denied-icon">🔒</div>
+      <h1 data-epistery-text="title"></h1>
+      <p data-epistery-text="message"></p>
+      <div class="epistery-denied-address" data-epistery-field="address"></div>
+      <p data-epistery-text="help"></p>
+      <textarea class="epistery-denied-message" data-epistery-field="request-message" maxlength="500" rows="3"></textarea>
+      <p data-epistery-field="request-status" hidden></p>
+      <div class="epistery-denied-actions">
+        <a class="epistery-denied-button" data-epistery-action="request-access" data-epistery-text="requestAccess"></a>
+        <button type="button" class="epistery-denied-button secondary" data-epistery-action="switch-identity" data-epistery-text="switchIdentity"></button>
       </div>
-      <script>
-        // Display current rivet address if available
-        const urlParams = new URLSearchParams(window.location.search);
-        const address = urlParams.get('address');
-        if (address) {
-          document.getElementById('currentAddress').textContent = address;
-        }
-      </script>
-    </body>
-    </html>
+    </div>
   `;
 
   /**
@@ -129,17 +180,53 @@
     return 'epistery.' + hostname;
   }
 
+  /**
+   * Decode a delegation token
+   * v1 tokens are "v1.<base64url(JSON)>", legacy tokens are raw JSON
+   */
+  function decodeToken(value) {
+    if (value.startsWith(TOKEN_PREFIX)) {
+      const base64 = value.slice(TOKEN_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    }
+    return JSON.parse(value);
+  }
+
+  /**
+   * Encode a delegation token for the X-Epistery-Delegation header
+   */
+  function encodeToken(token) {
+    if (!token.v) {
+      return JSON.stringify(token);
+    }
+    const bytes = new TextEncoder().encode(JSON.stringify(token));
+    const base64 = btoa(String.fromCharCode(...bytes));
+    return TOKEN_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Name of the delegation cookie for this host
+   * The epistery subdomain sets one per sister domain on the parent domain.
+   */
+  function getDelegationCookieName() {
+    return `${DELEGATION_COOKIE_NAME}.${window.location.hostname}`;
+  }
+
   /**
    * Get delegation token from cookie or localStorage
+   * Of the tokens found, the latest one issued for this host wins; another
+   * one is only returned so renewal can reuse its scope.
    */
   function getDelegationToken() {
-    // Try cookie first (set by epistery subdomain)
-    const cookies = document.cookie.split(';');
-    for (let cookie of cookies) {
-      const [name, value] = cookie.trim().split('=');
-      if (name === DELEGATION_COOKIE_NAME) {
+    const candidates = [];
+    const names = [getDelegationCookieName(), DELEGATION_COOKIE_NAME];
+    for (const cookie of document.cookie.split(';')) {
+      const separator = cookie.indexOf('=');
+      const name = cookie.slice(0, separator).trim();
+      if (names.includes(name)) {
         try {
-          return JSON.parse(decodeURIComponent(value));
+          candidates.push(decodeToken(decodeURIComponent(cookie.slice(separator + 1).trim())));
         } catch (e) {
           console.error('[white-list] Invalid delegation cookie:', e);
         }
@@ -149,10 +236,17 @@
     // Fallback to localStorage (same-origin only)
     try {
       const stored = localStorage.getItem(DELEGATION_COOKIE_NAME);
-      return stored ? JSON.parse(stored) : null;
+      if (stored) {
+        candidates.push(decodeToken(stored));
+      }
     } catch (e) {
-      return null;
+      // Storage unavailable, or not a token
     }
+
+    const matching = candidates
+      .filter(token => token?.delegation?.audience === window.location.hostname)
+      .sort((a, b) => b.delegation.expires - a.delegation.expires);
+    return matching[0] || candidates[0] || null;
   }
 
   /**
@@ -177,40 +271,369 @@
   }
 
   /**
-   * Redirect to epistery subdomain for delegation approval
+   * Origin of the epistery subdomain
    */
-  function requestDelegation() {
-    const returnUrl = encodeURIComponent(window.location.href);
-    const scope = encodeURIComponent(JSON.stringify(['whitelist:read']));
-    const domain = encodeURIComponent(window.location.hostname);
-
+  function getEpisteryOrigin() {
     // Use http for localhost, https for production
     const protocol = EPISTERY_SUBDOMAIN.includes('localhost') ? 'http' : 'https';
+    return `${protocol}://${EPISTERY_SUBDOMAIN}`;
+  }
+
+  /**
+   * URL of the epistery delegate page
+   */
+  function getDelegateUrl(params) {
+    const query = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `${getEpisteryOrigin()}/agent/epistery/white-list/delegate?${query}`;
+  }
+
+  function delegationError(code, message) {
+    const error = new Error(message || code);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Request delegation approval from the epistery subdomain
+   *
+   * By default the page redirects to epistery and comes back with a token.
+   * With { mode: 'popup' } approval happens in a popup window instead and
+   * the page keeps its state; see requestDelegationPopup().
+   *
+   * @param {Object} [options]
+   * @param {string} [options.mode='redirect'] - 'redirect' or 'popup'
+   * @param {number} [options.timeout] - Popup mode: ms to wait for approval
+   */
+  function requestDelegation(options = {}) {
+    if (options.mode === 'popup') {
+      return requestDelegationPopup(options);
+    }
 
-    const delegationUrl =
-      `${protocol}://${EPISTERY_SUBDOMAIN}/delegate?` +
-      `return=${returnUrl}&` +
-      `scope=${scope}&` +
-      `domain=${domain}`;
+    const delegationUrl = getDelegateUrl({
+      return: window.location.href,
+      scope: JSON.stringify(DEFAULT_SCOPE),
+      domain: window.location.hostname
+    });
 
     console.log('[white-list] Redirecting to epistery for delegation:', delegationUrl);
     window.location.href = delegationUrl;
   }
 
+  /**
+   * Approve delegation in a popup window
+   *
+   * Resolves with the access result (as in window.episteryAccess) once the
+   * popup has posted a token back. Rejects with an error whose `code` is
+   * 'popup_blocked', 'popup_closed', 'timeout', 'invalid_token' or the
+   * error reported by the delegate page.
+   */
+  async function requestDelegationPopup({ timeout = POPUP_TIMEOUT_MS } = {}) {
+    const state = crypto.randomUUID();
+    const url = getDelegateUrl({
+      response_mode: 'message',
+      state,
+      origin: window.location.origin,
+      scope: JSON.stringify(DEFAULT_SCOPE),
+      domain: window.location.hostname
+    });
+
+    const left = window.screenX + Math.max(0, (window.outerWidth - POPUP_WIDTH) / 2);
+    const top = window.screenY + Math.max(0, (window.outerHeight - POPUP_HEIGHT) / 2);
+    const popup = window.open(url, 'epistery-delegation',
+      `popup,width=${POPUP_WIDTH},height=${POPUP_HEIGHT},left=${left},top=${top}`);
+
+    if (!popup) {
+      throw delegationError('popup_blocked', 'Delegation popup was blocked');
+    }
+
+    console.log('[white-list] Waiting for delegation approval in popup');
+
+    let token;
+    try {
+      token = await receiveDelegation({
+        source: popup,
+        state,
+        timeoutMs: timeout,
+        abandoned: () => popup.closed
+      });
+    } finally {
+      if (!popup.closed) {
+        popup.close();
+      }
+    }
+
+    scheduleRenewal(token);
+    return publishAccess(token, isAccessControlRequired() ? 'required' : 'delegated');
+  }
+
+  /**
+   * Wait for the epistery delegate page to post a delegation back
+   *
+   * The page (in an iframe or popup) answers with
+   * postMessage({ type: 'epistery:delegation', state, token }) or
+   * { type: 'epistery:delegation-error', state, error }. Only messages from
+   * the epistery origin, from `source`, echoing `state` are accepted.
+   * A valid token is stored before the promise resolves with it.
+   *
+   * @param {Object} options
+   * @param {Window} options.source - Window the answer must come from
+   * @param {string} options.state - Value the answer must echo
+   * @param {number} options.timeoutMs
+   * @param {Function} [options.abandoned] - Polled; true rejects with 'popup_closed'
+   * @returns {Promise<Object>} Decoded token
+   */
+  function receiveDelegation({ source, state, timeoutMs, abandoned = null }) {
+    const origin = getEpisteryOrigin();
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timeout);
+        clearInterval(poll);
+        window.removeEventListener('message', onMessage);
+      };
+
+      const fail = (code, message) => {
+        done();
+        reject(delegationError(code, message));
+      };
+
+      const onMessage = (event) => {
+        if (event.origin !== origin || event.source !== source) {
+          return;
+        }
+        const data = event.data || {};
+        if (data.state !== state) {
+          return;
+        }
+
+        if (data.type === 'epistery:delegation-error') {
+          fail(data.error || 'delegation_refused');
+          return;
+        }
+        if (data.type !== 'epistery:delegation' || typeof data.token !== 'string') {
+          return;
+        }
+
+        let token;
+        try {
+          token = decodeToken(data.token);
+        } catch (e) {
+          token = null;
+        }
+        if (!isTokenValid(token)) {
+          fail('invalid_token', 'Received an invalid delegation token');
+          return;
+        }
+
+        storeDelegationToken(data.token, token);
+        done();
+        resolve(token);
+      };
+
+      const timeout = setTimeout(() => fail('timeout', 'Delegation timed out'), timeoutMs);
+      const poll = abandoned
+        ? setInterval(() => abandoned() && fail('popup_closed', 'Delegation window was closed'), POPUP_POLL_MS)
+        : null;
+      window.addEventListener('message', onMessage);
+    });
+  }
+
+  /**
+   * Store a renewed token where getDelegationToken() finds it
+   */
+  function storeDelegationToken(encoded, token) {
+    clearAccessCache();
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie =
+      `${getDelegationCookieName()}=${encodeURIComponent(encoded)}; path=/; ` +
+      `expires=${new Date(token.delegation.expires).toUTCString()}; SameSite=Lax${secure}`;
+
+    try {
+      localStorage.setItem(DELEGATION_COOKIE_NAME, encoded);
+    } catch (e) {
+      // Storage unavailable (private mode); the cookie is enough
+    }
+  }
+
+  /**
+   * Seconds before expiry at which a token is renewed
+   * Reads from meta tag: <meta name="epistery-renew-window" content="259200">
+   */
+  function getRenewWindowMs() {
+    const meta = document.querySelector('meta[name="epistery-renew-window"]');
+    const seconds = meta ? Number(meta.getAttribute('content')) : DEFAULT_RENEW_WINDOW_SECONDS;
+    return (seconds >= 0 ? seconds : DEFAULT_RENEW_WINDOW_SECONDS) * 1000;
+  }
+
+  let renewal = null;
+  let renewalTimer = null;
+
+  /**
+   * Renew the delegation without leaving the page
+   *
+   * Loads the epistery delegate page in a hidden iframe with prompt=none.
+   * When the rivet has already approved this domain the page posts a new
+   * token back (see receiveDelegation()) without showing anything.
+   * Resolves with the new token, or null when silent renewal is not
+   * possible (no earlier consent, third-party storage blocked, timeout).
+   */
+  function renewToken() {
+    if (renewal) {
+      return renewal;
+    }
+
+    const current = getDelegationToken();
+    const state = crypto.randomUUID();
+
+    const iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.src = getDelegateUrl({
+      prompt: 'none',
+      response_mode: 'message',
+      state,
+      origin: window.location.origin,
+      scope: JSON.stringify(current?.delegation?.scope || DEFAULT_SCOPE),
+      domain: window.location.hostname
+    });
+    document.body.appendChild(iframe);
+
+    renewal = receiveDelegation({ source: iframe.contentWindow, state, timeoutMs: RENEW_TIMEOUT_MS })
+      .then((token) => {
+        console.log('[white-list] Delegation renewed until', new Date(token.delegation.expires).toISOString());
+        window.dispatchEvent(new CustomEvent('epistery:token-renewed', {
+          detail: {
+            address: token.delegation.subject,
+            expires: token.delegation.expires
+          }
+        }));
+        scheduleRenewal(token);
+        return token;
+      }, (error) => {
+        console.log('[white-list] Silent renewal not possible:', error.code);
+        window.dispatchEvent(new CustomEvent('epistery:token-renew-failed', {
+          detail: { error: error.code }
+        }));
+        return null;
+      })
+      .finally(() => {
+        iframe.remove();
+        renewal = null;
+      });
+
+    return renewal;
+  }
+
+  /**
+   * Renew a token once it enters the renewal window
+   */
+  function scheduleRenewal(token) {
+    clearTimeout(renewalTimer);
+
+    // Never more than half the token's lifetime, or a renewed token would renew again at once
+    const { expires, createdAt } = token.delegation;
+    const windowMs = Math.min(getRenewWindowMs(), (expires - createdAt) / 2);
+    const delay = expires - windowMs - Date.now();
+    if (delay <= 0) {
+      renewToken();
+      return;
+    }
+
+    // Long delays are re-checked instead of overflowing the timer
+    renewalTimer = setTimeout(() => {
+      const latest = getDelegationToken();
+      if (isTokenValid(latest)) {
+        scheduleRenewal(latest);
+      }
+    }, Math.min(delay, MAX_TIMER_MS));
+  }
+
+  /**
+   * Current token, renewed silently if it has expired
+   * Only attempted when a token existed, i.e. the user consented before.
+   */
+  async function getOrRenewToken() {
+    const token = getDelegationToken();
+    if (isTokenValid(token)) {
+      return token;
+    }
+    return token ? renewToken() : null;
+  }
+
+  /**
+   * Access cache
+   *
+   * Granted /check results are kept in sessionStorage for the `cacheTtl`
+   * seconds the agent allows, keyed by token nonce, audience and list, so
+   * pages opened shortly after a check render without waiting on it.
+   * Cleared on epistery:access-denied, when the token changes and on logout().
+   */
+  function getAccessCacheKey(token, list) {
+    const { nonce, audience } = token.delegation;
+    return `${ACCESS_CACHE_PREFIX}${nonce}:${audience}:${list || ''}`;
+  }
+
+  function readCachedAccess(token, list) {
+    try {
+      const entry = JSON.parse(sessionStorage.getItem(getAccessCacheKey(token, list)));
+      return entry && entry.expiresAt > Date.now() ? entry.result : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCachedAccess(token, list, result) {
+    if (!result.allowed || !(result.cacheTtl > 0)) {
+      return;
+    }
+    try {
+      sessionStorage.setItem(getAccessCacheKey(token, list), JSON.stringify({
+        result,
+        expiresAt: Date.now() + result.cacheTtl * 1000
+      }));
+    } catch (e) {
+      // Storage unavailable or full; the next page checks again
+    }
+  }
+
+  function clearAccessCache() {
+    try {
+      for (let i = sessionStorage.length - 1; i >= 0; i--) {
+        const key = sessionStorage.key(i);
+        if (key.startsWith(ACCESS_CACHE_PREFIX)) {
+          sessionStorage.removeItem(key);
+        }
+      }
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+
   /**
    * Check whitelist access with delegation token
+   * @param {Object} token - Decoded delegation token
+   * @param {string} [list] - List to check (defaults to the page's list)
    */
-  async function checkAccess(token) {
+  async function checkAccess(token, list = getRequestedList()) {
+    const cached = readCachedAccess(token, list);
+    if (cached) {
+      return cached;
+    }
+
     try {
       // Use http for localhost, https for production
       const protocol = EPISTERY_SUBDOMAIN.includes('localhost') ? 'http' : 'https';
 
+      const query = list ? `?list=${encodeURIComponent(list)}` : '';
+
       const response = await fetch(
-        `${protocol}://${EPISTERY_SUBDOMAIN}/agent/epistery/white-list/check`,
+        `${protocol}://${EPISTERY_SUBDOMAIN}/agent/epistery/white-list/check${query}`,
         {
           method: 'GET',
           headers: {
-            'X-Epistery-Delegation': JSON.stringify(token)
+            'X-Epistery-Delegation': encodeToken(token)
           },
           credentials: 'include'
         }
@@ -221,6 +644,7 @@
       }
 
       const result = await response.json();
+      writeCachedAccess(token, list, result);
       return result;
     } catch (error) {
       console.error('[white-list] Access check failed:', error);
@@ -232,20 +656,304 @@
   }
 
   /**
-   * Show access denied page
+   * Access requests
+   *
+   * A denied visitor can ask to join the list; admins approve or reject
+   * the request on the agent's admin page.
+   */
+
+  /**
+   * Send an access request for the page's list
+   * @param {Object} [options] - { message, list }
+   * @returns {Promise<Object>} The agent's reply; `request` holds the new
+   * (or already pending) request, `error` why it was refused
+   */
+  async function requestAccess({ message, list = getRequestedList() } = {}) {
+    const token = getDelegationToken();
+    if (!isTokenValid(token)) {
+      throw delegationError('login_required', 'No valid delegation token');
+    }
+
+    const response = await fetch(`${getEpisteryOrigin()}/agent/epistery/white-list/requests`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Epistery-Delegation': encodeToken(token)
+      },
+      credentials: 'include',
+      body: JSON.stringify({ message, list })
+    });
+
+    const result = await response.json();
+    if (result.success) {
+      window.dispatchEvent(new CustomEvent('epistery:access-requested', {
+        detail: result.request
+      }));
+    }
+    return result;
+  }
+
+  /**
+   * Latest access request of this identity for the page's list
+   * @returns {Promise<Object|null>} { id, list, status, message, createdAt, decidedAt, reason }
+   */
+  async function getAccessRequest(list = getRequestedList()) {
+    const token = getDelegationToken();
+    if (!isTokenValid(token)) {
+      return null;
+    }
+
+    try {
+      const query = list ? `?list=${encodeURIComponent(list)}` : '';
+      const response = await fetch(`${getEpisteryOrigin()}/agent/epistery/white-list/requests/status${query}`, {
+        headers: {
+          'X-Epistery-Delegation': encodeToken(token)
+        },
+        credentials: 'include'
+      });
+      return response.ok ? (await response.json()).request : null;
+    } catch (error) {
+      console.error('[white-list] Request status failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Content of a <meta name="..."> tag, or null
+   */
+  function getMeta(name) {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  function getDeniedStrings() {
+    try {
+      return { ...DEFAULT_DENIED_STRINGS, ...JSON.parse(getMeta('epistery-denied-strings') || '{}') };
+    } catch (e) {
+      console.error('[white-list] Invalid epistery-denied-strings:', e);
+      return DEFAULT_DENIED_STRINGS;
+    }
+  }
+
+  function getDeniedTemplate() {
+    const selector = getMeta('epistery-denied-template');
+    if (selector) {
+      try {
+        return document.querySelector(selector);
+      } catch (e) {
+        console.error('[white-list] Invalid epistery-denied-template:', e);
+      }
+    }
+    return document.querySelector('template#epistery-denied');
+  }
+
+  /**
+   * Forget the delegation token so the next request asks for a new one
+   */
+  function clearDelegationToken() {
+    clearAccessCache();
+
+    // The cookie may have been set on this host or on any parent domain
+    const labels = window.location.hostname.split('.');
+    for (const name of [getDelegationCookieName(), DELEGATION_COOKIE_NAME]) {
+      const expired = `${name}=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+      document.cookie = expired;
+      for (let i = 1; i < labels.length - 1; i++) {
+        document.cookie = `${expired}; domain=${labels.slice(i).join('.')}`;
+      }
+    }
+
+    try {
+      localStorage.removeItem(DELEGATION_COOKIE_NAME);
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+
+  let inertElements = [];
+  let requestPollTimer = null;
+
+  /**
+   * Show where the visitor's access request stands in the overlay
+   * @param {Object|null} request - Latest request, if any
+   * @param {string} [error] - Why a new request was refused
+   */
+  function showRequestStatus(overlay, strings, request, error) {
+    const open = request && request.status !== 'rejected';
+    const texts = {
+      pending: strings.requestPending,
+      approved: strings.requestApproved,
+      rejected: request && request.reason ? `${strings.requestRejected} ${request.reason}` : strings.requestRejected
+    };
+
+    overlay.querySelectorAll('[data-epistery-field="request-status"]').forEach((element) => {
+      element.textContent = error || (request ? texts[request.status] : '');
+      element.hidden = !element.textContent;
+    });
+    overlay.querySelectorAll('[data-epistery-field="request-message"], [data-epistery-action="request-access"]').forEach((element) => {
+      element.hidden = Boolean(open);
+    });
+  }
+
+  /**
+   * Poll the visitor's request while it is pending; re-check on approval
+   */
+  function watchAccessRequest(overlay, strings) {
+    clearTimeout(requestPollTimer);
+
+    const poll = async () => {
+      const request = await getAccessRequest();
+      if (!overlay.isConnected) {
+        return;
+      }
+      showRequestStatus(overlay, strings, request);
+      if (request && request.status === 'approved') {
+        clearAccessCache();
+        recheck();
+      } else if (request && request.status === 'pending') {
+        requestPollTimer = setTimeout(poll, REQUEST_POLL_MS);
+      }
+    };
+
+    poll();
+  }
+
+  /**
+   * Wire "Request access" to the agent's request queue
+   */
+  function bindRequestAccess(overlay, strings) {
+    overlay.querySelectorAll('[data-epistery-field="request-message"]').forEach((element) => {
+      if (!element.getAttribute('placeholder')) {
+        element.setAttribute('placeholder', strings.requestMessage);
+      }
+    });
+
+    overlay.querySelectorAll('[data-epistery-action="request-access"]').forEach((element) => {
+      if (element.tagName === 'A') {
+        element.setAttribute('href', '#');
+        element.setAttribute('role', 'button');
+      }
+      element.addEventListener('click', async (event) => {
+        event.preventDefault();
+        const input = overlay.querySelector('[data-epistery-field="request-message"]');
+        element.setAttribute('aria-disabled', 'true');
+        try {
+          const result = await requestAccess({ message: (input && input.value.trim()) || undefined });
+          showRequestStatus(overlay, strings, result.request || null, result.success ? null : result.error);
+          if (result.request && result.request.status === 'pending') {
+            watchAccessRequest(overlay, strings);
+          }
+        } catch (error) {
+          showRequestStatus(overlay, strings, null, error.message);
+        } finally {
+          element.removeAttribute('aria-disabled');
+        }
+      });
+    });
+
+    watchAccessRequest(overlay, strings);
+  }
+
+  /**
+   * Show the access-denied experience
+   *
+   * With <meta name="epistery-denied-redirect" content="URL"> the browser is
+   * sent there. Otherwise an overlay is laid over the page, built from the
+   * publisher's template (<template id="epistery-denied">, or the one named
+   * by <meta name="epistery-denied-template" content="#selector">) or the
+   * default. Inside a template:
+   *   data-epistery-text="title|message|help|..."   filled from the strings
+   *   data-epistery-field="address"                  the denied address
+   *   data-epistery-action="request-access"          links to <meta name="epistery-request-access">,
+   *                                                  or sends a request to the agent's queue
+   *   data-epistery-field="request-message"          optional message sent with the request
+   *   data-epistery-field="request-status"           where the request stands
+   *   data-epistery-action="switch-identity"         drops the token and asks again
+   * The page underneath stays intact and the URL is not changed.
    */
   function showAccessDenied(address) {
-    // Replace entire page with access denied message
-    document.open();
-    document.write(ACCESS_DENIED_HTML);
-    document.close();
+    const redirect = getMeta('epistery-denied-redirect');
+    if (redirect) {
+      window.location.replace(redirect);
+      return;
+    }
+
+    hideAccessDenied();
+
+    const strings = getDeniedStrings();
+    const template = getDeniedTemplate();
+
+    const overlay = document.createElement('div');
+    overlay.id = DENIED_OVERLAY_ID;
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', strings.title);
+
+    const style = document.createElement('style');
+    overlay.appendChild(style);
+
+    if (template instanceof HTMLTemplateElement) {
+      style.textContent = DENIED_OVERLAY_STYLES;
+      overlay.appendChild(template.content.cloneNode(true));
+    } else {
+      style.textContent = DENIED_OVERLAY_STYLES + DENIED_STYLES;
+      overlay.insertAdjacentHTML('beforeend', DEFAULT_DENIED_TEMPLATE);
+    }
+
+    overlay.querySelectorAll('[data-epistery-text]').forEach((element) => {
+      const text = strings[element.getAttribute('data-epistery-text')];
+      if (text !== undefined) {
+        element.textContent = text;
+      }
+    });
+
+    overlay.querySelectorAll('[data-epistery-field="address"]').forEach((element) => {
+      element.textContent = address || '';
+      element.hidden = !address;
+    });
 
-    // Update address in URL for display
-    if (address) {
-      const url = new URL(window.location.href);
-      url.searchParams.set('address', address);
-      window.history.replaceState({}, '', url);
+    const requestAccessUrl = getMeta('epistery-request-access');
+    if (requestAccessUrl) {
+      overlay.querySelectorAll('[data-epistery-action="request-access"]').forEach((element) => {
+        element.setAttribute('href', requestAccessUrl);
+      });
+      overlay.querySelectorAll('[data-epistery-field="request-message"], [data-epistery-field="request-status"]').forEach((element) => {
+        element.hidden = true;
+      });
+    } else {
+      bindRequestAccess(overlay, strings);
     }
+
+    overlay.querySelectorAll('[data-epistery-action="switch-identity"]').forEach((element) => {
+      element.addEventListener('click', () => {
+        clearDelegationToken();
+        requestDelegation();
+      });
+    });
+
+    // Keep the page, but out of reach of keyboard and screen readers
+    inertElements = [...document.body.children].filter(child => !child.inert);
+    inertElements.forEach(child => { child.inert = true; });
+    document.body.appendChild(overlay);
+    overlay.querySelector('a[href], button:not([hidden])')?.focus();
+
+    window.dispatchEvent(new CustomEvent('epistery:access-denied-shown', {
+      detail: { address }
+    }));
+  }
+
+  /**
+   * Remove the access-denied overlay, if shown
+   */
+  function hideAccessDenied() {
+    const overlay = document.getElementById(DENIED_OVERLAY_ID);
+    if (!overlay) {
+      return;
+    }
+    overlay.remove();
+    clearTimeout(requestPollTimer);
+    inertElements.forEach(child => { child.inert = false; });
+    inertElements = [];
   }
 
   /**
@@ -253,28 +961,174 @@
    * Reads from meta tag: <meta name="epistery-access" content="required|optional">
    */
   function isAccessControlRequired() {
+    const route = getRouteRule();
+    if (route?.access) {
+      return route.access === 'required';
+    }
     const meta = document.querySelector('meta[name="epistery-access"]');
     const mode = meta ? meta.getAttribute('content') : 'optional';
     return mode === 'required';
   }
 
+  /**
+   * List that decides access for this page
+   * Reads from meta tag: <meta name="epistery-list" content="members">
+   * Without it, the agent picks the list mapped to this domain.
+   */
+  function getRequestedList() {
+    const route = getRouteRule();
+    if (route?.list) {
+      return route.list;
+    }
+    const meta = document.querySelector('meta[name="epistery-list"]');
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  /**
+   * Element gating
+   *
+   *   <div data-epistery-require="member">        shown once access is granted
+   *        data-epistery-list="premium"            ...on this list instead of the page's
+   *        data-epistery-scope="whitelist:write"   ...with these scopes in the token
+   *        data-epistery-placeholder="#teaser">    template shown meanwhile instead
+   *   <div data-epistery-show="passive">           shown while the visitor has no access
+   *
+   * Gated elements stay hidden from the moment this script runs; elements
+   * added later are picked up by a MutationObserver.
+   */
+  const GATE_SELECTOR = '[data-epistery-require], [data-epistery-show]';
+
+  let gateToken;                     // undefined until the first check, then token or null
+  const gateResults = new Map();     // list -> Promise<boolean>
+  const placeholders = new WeakMap(); // gated element -> placeholder node
+
+  function injectGateStyles() {
+    const style = document.createElement('style');
+    style.textContent =
+      '[data-epistery-require]:not([data-epistery-granted]),' +
+      '[data-epistery-show]:not([data-epistery-active]) { display: none !important; }';
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function isListGranted(list) {
+    const key = list || '';
+    if (!gateResults.has(key)) {
+      const result = checkAccess(gateToken, list || getRequestedList()).then(access => access.allowed === true);
+      gateResults.set(key, result);
+    }
+    return gateResults.get(key);
+  }
+
+  function getPlaceholderTemplate(element) {
+    const selector = element.getAttribute('data-epistery-placeholder');
+    try {
+      return document.querySelector(selector);
+    } catch (e) {
+      console.error('[white-list] Invalid data-epistery-placeholder:', e);
+      return null;
+    }
+  }
+
+  function setPlaceholder(element, show) {
+    const current = placeholders.get(element);
+    if (!show) {
+      current?.remove();
+      placeholders.delete(element);
+      return;
+    }
+    const template = current ? null : getPlaceholderTemplate(element);
+    if (template instanceof HTMLTemplateElement) {
+      const placeholder = document.createElement('div');
+      placeholder.setAttribute('data-epistery-placeholder-for', '');
+      placeholder.appendChild(template.content.cloneNode(true));
+      element.after(placeholder);
+      placeholders.set(element, placeholder);
+    }
+  }
+
+  async function applyGate(element) {
+    if (gateToken === undefined) {
+      return;
+    }
+
+    if (element.hasAttribute('data-epistery-show')) {
+      const passive = element.getAttribute('data-epistery-show') === 'passive';
+      element.toggleAttribute('data-epistery-active', passive && !window.episteryAccess?.allowed);
+    }
+
+    if (!element.hasAttribute('data-epistery-require')) {
+      return;
+    }
+
+    let granted = false;
+    if (isTokenValid(gateToken)) {
+      const scopes = (element.getAttribute('data-epistery-scope') || '').split(/[\s,]+/).filter(Boolean);
+      granted = scopes.every(scope => gateToken.delegation.scope.includes(scope)) &&
+        await isListGranted(element.getAttribute('data-epistery-list'));
+    }
+
+    element.toggleAttribute('data-epistery-granted', granted);
+    if (element.hasAttribute('data-epistery-placeholder')) {
+      setPlaceholder(element, !granted);
+    }
+  }
+
+  function applyGates(root) {
+    if (root.matches?.(GATE_SELECTOR)) {
+      applyGate(root);
+    }
+    root.querySelectorAll?.(GATE_SELECTOR).forEach(applyGate);
+  }
+
+  /**
+   * Re-evaluate every gated element, e.g. after a new token was obtained
+   */
+  function refreshGates(token) {
+    gateToken = isTokenValid(token) ? token : null;
+    gateResults.clear();
+    if (gateToken && window.episteryAccess) {
+      // The page's own list was just checked
+      gateResults.set('', Promise.resolve(window.episteryAccess.allowed === true));
+    }
+    applyGates(document.documentElement);
+  }
+
+  function observeGates() {
+    const observer = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if (mutation.type === 'attributes') {
+          applyGate(mutation.target);
+          continue;
+        }
+        mutation.addedNodes.forEach(node => node.nodeType === Node.ELEMENT_NODE && applyGates(node));
+      }
+    });
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-epistery-require', 'data-epistery-list', 'data-epistery-scope', 'data-epistery-show']
+    });
+  }
+
   /**
    * Lazy check - only verify if token exists
    * Don't request delegation unless required
    */
   async function lazyCheck() {
-    const token = getDelegationToken();
+    const token = await getOrRenewToken();
 
     if (!isTokenValid(token)) {
       // No valid token, but that's OK for optional access
       console.log('[white-list] No delegation token - running in passive mode');
 
-      window.episteryAccess = {
+      setAccess({
         allowed: false,
         mode: 'passive',
         message: 'No identity delegation. Access may be restricted.'
-      };
+      });
 
+      refreshGates(null);
       window.dispatchEvent(new CustomEvent('epistery:passive-mode', {
         detail: window.episteryAccess
       }));
@@ -283,14 +1137,27 @@
     }
 
     // Have token, check access
+    scheduleRenewal(token);
+    const access = await publishAccess(token, 'delegated');
+    return access.allowed;
+  }
+
+  /**
+   * Check access with a token, then set window.episteryAccess and
+   * dispatch epistery:access-granted or epistery:access-denied
+   */
+  async function publishAccess(token, mode) {
     const result = await checkAccess(token);
 
-    window.episteryAccess = {
+    setAccess({
       allowed: result.allowed,
       address: result.address,
       domain: result.domain,
-      mode: 'delegated'
-    };
+      list: result.list,
+      mode
+    });
+
+    refreshGates(token);
 
     if (result.allowed) {
       console.log('[white-list] Access granted for:', result.address);
@@ -304,7 +1171,7 @@
       }));
     }
 
-    return result.allowed;
+    return window.episteryAccess;
   }
 
   /**
@@ -325,9 +1192,10 @@
     // Required mode - enforce access control
     console.log('[white-list] Access control REQUIRED for this page');
 
-    const token = getDelegationToken();
+    // An expired token is renewed silently; redirect only when that fails
+    const token = await getOrRenewToken();
 
-    if (!isTokenValid(token)) {
+    if (!token) {
       console.log('[white-list] No valid delegation token - requesting...');
       requestDelegation();
       return;
@@ -335,28 +1203,146 @@
 
     console.log('[white-list] Valid delegation token found - checking access...');
 
-    const result = await checkAccess(token);
+    scheduleRenewal(token);
+    const access = await publishAccess(token, 'required');
 
-    if (!result.allowed) {
-      console.log('[white-list] Access denied:', result.error || 'Not whitelisted');
-      showAccessDenied(result.address || token.delegation.subject);
-      return;
+    if (!access.allowed) {
+      showAccessDenied(access.address || token.delegation.subject);
     }
+  }
 
-    console.log('[white-list] Access granted for:', result.address);
+  /**
+   * Access state
+   *
+   * window.episteryAccess holds the latest state. ready() resolves with the
+   * first one; subscribe() callbacks get the current state and every later
+   * one (route changes, sign-in through a popup, ...).
+   */
+  const subscribers = new Set();
+  let resolveReady;
+  const readyPromise = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
 
-    window.episteryAccess = {
-      allowed: true,
-      address: result.address,
-      domain: result.domain,
-      mode: 'required'
-    };
+  function setAccess(access) {
+    window.episteryAccess = access;
+    resolveReady(access);
+    for (const callback of subscribers) {
+      try {
+        callback(access);
+      } catch (error) {
+        console.error('[white-list] Subscriber error:', error);
+      }
+    }
+  }
 
-    window.dispatchEvent(new CustomEvent('epistery:access-granted', {
-      detail: window.episteryAccess
-    }));
+  function ready() {
+    return readyPromise;
+  }
+
+  /**
+   * @param {Function} callback - Called with the access state, now and on every change
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(callback) {
+    subscribers.add(callback);
+    if (window.episteryAccess) {
+      callback(window.episteryAccess);
+    }
+    return () => subscribers.delete(callback);
+  }
+
+  /**
+   * Per-route requirements for single-page apps
+   *
+   * Rules are matched against location.pathname, first match wins:
+   *   { path: '/account/*', access: 'required' }
+   *   { path: /^\/premium\//, access: 'required', list: 'premium' }
+   *   { path: (pathname) => boolean, access: 'optional' }
+   * Routes without a match fall back to the page's meta tags. Setting
+   * routes re-checks the current route, and again after every
+   * history.pushState/replaceState or popstate that changes the path.
+   */
+  let routeRules = null;
+  let lastPath = window.location.pathname;
+
+  function matchesPath(path, pathname) {
+    if (path instanceof RegExp) {
+      return path.test(pathname);
+    }
+    if (typeof path === 'function') {
+      return Boolean(path(pathname));
+    }
+    return path.endsWith('*') ? pathname.startsWith(path.slice(0, -1)) : pathname === path;
+  }
+
+  function getRouteRule() {
+    return routeRules?.find(rule => matchesPath(rule.path, window.location.pathname)) || null;
+  }
+
+  function setRoutes(rules) {
+    const watching = routeRules !== null;
+    routeRules = rules || [];
+    if (!watching) {
+      watchNavigation();
+    }
+    return recheck();
+  }
+
+  function watchNavigation() {
+    for (const method of ['pushState', 'replaceState']) {
+      const original = history[method];
+      history[method] = function(...args) {
+        const result = original.apply(this, args);
+        onNavigate();
+        return result;
+      };
+    }
+    window.addEventListener('popstate', onNavigate);
+  }
+
+  function onNavigate() {
+    if (window.location.pathname === lastPath) {
+      return;
+    }
+    lastPath = window.location.pathname;
+    recheck();
+  }
+
+  /**
+   * Forget this browser's delegation and cached access
+   * The delegation itself stays valid until it expires; revoke it on the
+   * epistery host to end it everywhere.
+   */
+  function logout() {
+    clearDelegationToken();
+    clearTimeout(renewalTimer);
+    hideAccessDenied();
+    refreshGates(null);
+    setAccess({
+      allowed: false,
+      mode: 'passive',
+      message: 'Signed out.'
+    });
+    window.dispatchEvent(new CustomEvent('epistery:logout'));
   }
 
+  /**
+   * Run the access check again for the current route
+   */
+  async function recheck() {
+    hideAccessDenied();
+    await init();
+    return window.episteryAccess;
+  }
+
+  // A denial means any cached grant is stale
+  window.addEventListener('epistery:access-denied', clearAccessCache);
+
+  // Hide gated elements before they render, and watch for new ones
+  injectGateStyles();
+  observeGates();
+
   // Run on DOM ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -369,9 +1355,32 @@
     // Passive check - doesn't request delegation
     check: lazyCheck,
 
+    // Promise of the first access state, and every state after it
+    ready: ready,
+    subscribe: subscribe,
+
+    // Single-page apps: per-route requirements, re-checked on navigation
+    setRoutes: setRoutes,
+    recheck: recheck,
+
     // Force delegation request (for "Sign In" buttons)
+    // requestDelegation({ mode: 'popup' }) resolves with the access result
     requestDelegation: requestDelegation,
 
+    // Renew the delegation silently; resolves with the token or null
+    renewToken: renewToken,
+
+    // Forget the delegation token and cached access in this browser
+    logout: logout,
+
+    // Ask to join the page's list, and follow the request
+    requestAccess: requestAccess,
+    getAccessRequest: getAccessRequest,
+
+    // Show or remove the access-denied overlay
+    showAccessDenied: showAccessDenied,
+    hideAccessDenied: hideAccessDenied,
+
     // Get current status without making requests
     getStatus: () => window.episteryAccess,
 
@@ -379,6 +1388,8 @@
     checkAccess: checkAccess,
     getDelegationToken: getDelegationToken,
     isTokenValid: isTokenValid,
+    decodeToken: decodeToken,
+    encodeToken: encodeToken,
 
     version: '0.1.0'
   };
@@ -0,0 +1,37 @@
+/**
+ * Epistery White-List Agent - ES module entry
+ *
+ * For bundlers and <script type="module">. Runs the same client as the
+ * classic script (client.js) and exports its API:
+ *
+ *   import { ready, subscribe, setRoutes } from '@epistery/white-list/client/client.mjs';
+ *
+ * Browser only: the client reads window, document and history when imported.
+ */
+import './client.js';
+
+const whiteList = window.episteryWhiteList;
+
+export const {
+  check,
+  ready,
+  subscribe,
+  setRoutes,
+  recheck,
+  requestDelegation,
+  logout,
+  requestAccess,
+  getAccessRequest,
+  renewToken,
+  showAccessDenied,
+  hideAccessDenied,
+  getStatus,
+  checkAccess,
+  getDelegationToken,
+  isTokenValid,
+  decodeToken,
+  encodeToken,
+  version
+} = whiteList;
+
+export default whiteList;
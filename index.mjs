@@ -1,21 +1,115 @@
 import express from 'express';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { readFileSync, existsSync } from 'fs';
+import {
+  verifyDelegation,
+  getTokenFromRequest,
+  readCookie,
+  createDelegation,
+  getDelegationTypedData,
+  validateSignedDelegation,
+  encodeDelegationToken,
+  DelegationErrors,
+  DEFAULT_DURATION_DAYS,
+  MAX_DURATION_DAYS
+} from './server/delegation.mjs';
+import { RevocationStore } from './server/revocation.mjs';
+import { DelegationRegistry } from './server/merkle.mjs';
+import { createStorage, CachedStorage, DEFAULT_LIST, isValidListName, resolveList } from './server/storage/index.mjs';
+import { createDevModePolicy, getDevModeDecision, DevModes } from './server/dev-mode.mjs';
+import { parseMembershipTerms, getMembershipStatus, checkMembership, isValidAddress, MembershipSweeper } from './server/membership.mjs';
+import { toCsv, readImportRows, planImport, ImportModes } from './server/import-export.mjs';
+import { AuditLog, AuditOutcomes, outcomeForStatus } from './server/audit.mjs';
+import { RoleRegistry, Roles, Permissions, ROLE_PERMISSIONS } from './server/roles.mjs';
+import { ReceiptIssuer } from './server/receipts.mjs';
+import { AccessRequestStore, RequestStatuses, RequestErrors, MAX_REQUEST_MESSAGE_LENGTH } from './server/requests.mjs';
+import { AgentEvents } from './server/events.mjs';
+import { WebhookDispatcher, DeliveryStatuses } from './server/webhooks.mjs';
+import { EventStream, StreamAudiences } from './server/event-stream.mjs';
+import {
+  ConsentStore,
+  ConsentErrors,
+  ResponseModes,
+  CONSENT_COOKIE_NAME,
+  getParentDomain,
+  isSisterDomain,
+  parseReturnUrl,
+  delegationCookie,
+  consentCookie
+} from './server/consent.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_CLIENT_CACHE_TTL = 60;
+const DEFAULT_COUNTS_INTERVAL_MS = 60000;
+const COUNTS_DEBOUNCE_MS = 250;
+
+/**
+ * What a visitor sees of their own access request; who decided stays private
+ */
+function toRequestStatus({ id, list, status, message, createdAt, decidedAt, reason }) {
+  return { id, list, status, message, createdAt, decidedAt, reason };
+}
+
 /**
  * White-List Agent
  *
  * Provides on-chain access control with rivet delegation.
  * This is the main entry point loaded by AgentManager.
+ * Emits the events in server/events.mjs, which also feed the webhooks.
  */
-export default class WhiteListAgent {
+export default class WhiteListAgent extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.config = config;
     this.epistery = null;
+    const storage = createStorage(config.storage, () => this.epistery);
+    this.storage = config.cache === false ? storage : new CachedStorage(storage, config.cache);
+    this.devMode = createDevModePolicy(config.devMode);
+    this.sweeper = new MembershipSweeper({
+      storage: this.storage,
+      getListNames: () => this.getListNames(),
+      onRemove: (address, list) => this.notify(AgentEvents.MEMBER_REMOVED, { address, list, by: null, source: 'sweep' }),
+      ...config.membershipSweep
+    });
+    this.revocations = new RevocationStore({ path: config.revocationFile || null });
+    this.audit = new AuditLog({ path: config.auditFile || null });
+    this.roles = new RoleRegistry({
+      owners: config.owners || [],
+      roles: config.roles || {},
+      path: config.rolesFile || null
+    });
+    this.receipts = new ReceiptIssuer(config.receipts || {});
+    this.consents = new ConsentStore();
+    this.accessRequests = new AccessRequestStore(config.accessRequests);
+    this.webhooks = new WebhookDispatcher(config.webhooks);
+    for (const event of Object.values(AgentEvents)) {
+      this.on(event, data => this.webhooks.dispatch(event, data));
+    }
+
+    // Live updates for the admin page and the widget
+    this.stream = new EventStream(config.events);
+    this.publishedCounts = null;
+    this.countsUpdate = null;
+    this.countsTimer = null;
+    for (const event of [AgentEvents.MEMBER_ADDED, AgentEvents.MEMBER_REMOVED]) {
+      this.on(event, data => {
+        this.stream.publish(event, data, { audience: StreamAudiences.ADMIN });
+        this.scheduleCountsUpdate();
+      });
+    }
+    this.delegations = new DelegationRegistry({
+      anchor: config.rootAnchor || null,
+      path: config.delegationTreeFile || null,
+      publishIntervalMs: config.rootPublishIntervalMs
+    });
+    // A tree that outlives its revocations lets revoked tokens verify again
+    if (Boolean(this.delegations.path) !== Boolean(this.revocations.path)) {
+      throw new Error('Set both delegationTreeFile and revocationFile, or neither');
+    }
   }
 
   /**
@@ -61,9 +155,9 @@ export default class WhiteListAgent {
       res.sendFile(adminPath);
     });
 
-    // Serve client.js for publishers
-    router.get('/client.js', (req, res) => {
-      const clientPath = path.join(__dirname, 'client/client.js');
+    // Serve client.js (classic script) and client.mjs (ES module) for publishers
+    router.get(['/client.js', '/client.mjs'], (req, res) => {
+      const clientPath = path.join(__dirname, 'client', path.basename(req.path));
       if (!existsSync(clientPath)) {
         return res.status(404).send('Client script not found');
       }
@@ -74,97 +168,157 @@ export default class WhiteListAgent {
     // Check endpoint - verify whitelist with delegation token
     router.get('/check', async (req, res) => {
       try {
-        const verification = await this.verifyDelegationToken(req);
+        const verification = await this.verifyDelegationToken(req, { sisters: true });
 
         if (!verification.valid) {
           return res.status(401).json({
             allowed: false,
-            error: verification.error
+            error: verification.error,
+            code: verification.code
           });
         }
 
-        // Development mode: allow all addresses for localhost
-        const isLocalhost = req.hostname === 'localhost' || req.hostname === '127.0.0.1';
-
-        if (isLocalhost) {
-          console.log('[white-list] Dev mode: allowing all addresses for localhost');
-          return res.json({
-            allowed: true,
-            address: verification.rivetAddress,
-            domain: verification.domain,
-            devMode: true
+        if (req.query.list && !isValidListName(req.query.list)) {
+          return res.status(400).json({
+            allowed: false,
+            error: 'Invalid list name'
           });
         }
 
-        // Check if rivet is whitelisted using epistery's whitelist functionality
-        if (!this.epistery) {
-          return res.status(500).json({
+        const wantsReceipt = ['1', 'true'].includes(req.query.receipt);
+        const mappedList = this.config.audiences?.[verification.domain];
+
+        // A receipt for the audience must name the list mapped to it, or a
+        // visitor on any list could present one to a members-only site
+        if (wantsReceipt && req.query.list && mappedList && req.query.list !== mappedList) {
+          return res.status(400).json({
             allowed: false,
-            error: 'Epistery not initialized'
+            error: `Receipts for ${verification.domain} are only issued for the ${mappedList} list`
           });
         }
 
-        const isWhitelisted = await this.epistery.isWhitelisted(verification.rivetAddress);
+        const list = resolveList(this.config.audiences, verification.domain, req.query.list);
+        const decision = await this.decideAccess(verification.rivetAddress, list);
+
+        // Signed receipt on request, so publishers can verify access offline
+        let receipt = null;
+        if (decision.allowed && wantsReceipt) {
+          receipt = this.receipts.issue({
+            issuer: req.hostname,
+            address: verification.rivetAddress,
+            audience: verification.domain,
+            list
+          }, {
+            notAfter: [verification.delegation.expires, decision.membership?.expiresAt]
+          });
+        }
 
         res.json({
-          allowed: isWhitelisted,
+          allowed: decision.allowed,
           address: verification.rivetAddress,
-          domain: verification.domain
+          domain: verification.domain,
+          list,
+          decidedBy: decision.decidedBy,
+          ...(decision.membership && { membership: decision.membership }),
+          ...(receipt && { receipt: receipt.receipt, receiptExpiresAt: receipt.expiresAt }),
+          cacheTtl: this.getClientCacheTtl(verification, decision),
+          ...(this.devMode.mode !== DevModes.OFF && { devMode: this.devMode.mode })
         });
+
+        if (!decision.allowed) {
+          this.notify(AgentEvents.ACCESS_DENIED, {
+            address: verification.rivetAddress,
+            domain: verification.domain,
+            list,
+            decidedBy: decision.decidedBy,
+            ...(decision.membership && { membership: decision.membership })
+          });
+        }
       } catch (error) {
         console.error('[white-list] Check error:', error);
+        res.status(500).json({
+          allowed: false,
+          error: error.message
+        });
+      }
+    });
 
-        // Development mode fallback: if contract not configured and localhost, allow
-        const isLocalhost = req.hostname === 'localhost' || req.hostname === '127.0.0.1';
-        if (isLocalhost && error.message.includes('Agent contract address not configured')) {
-          console.log('[white-list] Dev mode fallback: contract not configured, allowing for localhost');
+    // Public keys for verifying access receipts
+    router.get('/.well-known/jwks.json', (req, res) => {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(this.receipts.getJwks());
+    });
 
-          const verification = await this.verifyDelegationToken(req);
-          return res.json({
-            allowed: true,
-            address: verification.rivetAddress,
-            domain: verification.domain,
-            devMode: true,
-            note: 'Contract not configured - using dev mode'
+    // Lists endpoint - all named lists with member counts (admin only)
+    router.get('/lists', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (!this.authorize(verification, Permissions.READ)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.READ}`
           });
         }
 
+        const counts = await this.getListCounts();
+        const audiences = Object.entries(this.config.audiences || {});
+
+        res.json({
+          lists: Object.entries(counts).map(([name, count]) => ({
+            name,
+            count,
+            audiences: audiences.filter(([, list]) => list === name).map(([audience]) => audience)
+          }))
+        });
+      } catch (error) {
+        console.error('[white-list] Lists error:', error);
         res.status(500).json({
-          allowed: false,
           error: error.message
         });
       }
     });
 
-    // List endpoint - get all whitelisted addresses (admin only)
-    router.get('/list', async (req, res) => {
+    // List endpoint - get all whitelisted addresses of a list (admin only)
+    router.get(['/list', '/lists/:name/members'], async (req, res) => {
       try {
         const verification = await this.verifyDelegationToken(req);
 
         if (!verification.valid) {
           return res.status(401).json({
-            error: verification.error
+            error: verification.error,
+            code: verification.code
           });
         }
 
-        // Check if user has admin scope
-        if (!verification.scope?.includes('whitelist:admin')) {
+        if (!this.authorize(verification, Permissions.READ)) {
           return res.status(403).json({
-            error: 'Insufficient permissions - requires whitelist:admin scope'
+            error: `Insufficient permissions - requires ${Permissions.READ}`
           });
         }
 
-        if (!this.epistery) {
-          return res.status(500).json({
-            error: 'Epistery not initialized'
+        const list = req.params.name || req.query.list || DEFAULT_LIST;
+
+        if (!isValidListName(list)) {
+          return res.status(400).json({
+            error: 'Invalid list name'
           });
         }
 
-        const whitelist = await this.epistery.getWhitelist();
+        const records = await this.getMemberRecords(list);
+        const now = Date.now();
 
         res.json({
-          whitelist: whitelist,
-          count: whitelist.length
+          list,
+          whitelist: records.map(record => record.address),
+          members: records.map(record => ({ ...record, ...getMembershipStatus(record, now) })),
+          count: records.length
         });
       } catch (error) {
         console.error('[white-list] List error:', error);
@@ -174,47 +328,66 @@ export default class WhiteListAgent {
       }
     });
 
-    // Add member endpoint (admin only)
-    router.post('/add', async (req, res) => {
+    // Add member endpoint (admin only) - default list, or the named list
+    router.post(['/add', '/lists/:name/add'], async (req, res) => {
       try {
+        const audit = this.auditRequest(req, res, 'member.add');
+        audit.target = typeof req.body.address === 'string' ? req.body.address : null;
         const verification = await this.verifyDelegationToken(req);
 
         if (!verification.valid) {
           return res.status(401).json({
             success: false,
-            error: verification.error
+            error: verification.error,
+            code: verification.code
           });
         }
 
-        // Check if user has admin scope
-        if (!verification.scope?.includes('whitelist:admin')) {
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.WRITE)) {
           return res.status(403).json({
             success: false,
-            error: 'Insufficient permissions - requires whitelist:admin scope'
+            error: `Insufficient permissions - requires ${Permissions.WRITE}`
           });
         }
 
         const { address } = req.body;
 
-        if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        if (!isValidAddress(address)) {
           return res.status(400).json({
             success: false,
             error: 'Invalid Ethereum address'
           });
         }
 
-        if (!this.epistery) {
-          return res.status(500).json({
+        const list = req.params.name || req.body.list || DEFAULT_LIST;
+        audit.list = list;
+
+        if (!isValidListName(list)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid list name'
+          });
+        }
+
+        let terms;
+        try {
+          terms = parseMembershipTerms(req.body);
+        } catch (error) {
+          return res.status(400).json({
             success: false,
-            error: 'Epistery not initialized'
+            error: error.message
           });
         }
 
-        await this.epistery.addToWhitelist(address);
+        await this.addMember(address, list, terms, { by: verification.rivetAddress });
 
         res.json({
           success: true,
-          address: address
+          address: address,
+          list,
+          ...terms
         });
       } catch (error) {
         console.error('[white-list] Add error:', error);
@@ -225,47 +398,56 @@ export default class WhiteListAgent {
       }
     });
 
-    // Remove member endpoint (admin only)
-    router.post('/remove', async (req, res) => {
+    // Remove member endpoint (admin only) - default list, or the named list
+    router.post(['/remove', '/lists/:name/remove'], async (req, res) => {
       try {
+        const audit = this.auditRequest(req, res, 'member.remove');
+        audit.target = typeof req.body.address === 'string' ? req.body.address : null;
         const verification = await this.verifyDelegationToken(req);
 
         if (!verification.valid) {
           return res.status(401).json({
             success: false,
-            error: verification.error
+            error: verification.error,
+            code: verification.code
           });
         }
 
-        // Check if user has admin scope
-        if (!verification.scope?.includes('whitelist:admin')) {
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.WRITE)) {
           return res.status(403).json({
             success: false,
-            error: 'Insufficient permissions - requires whitelist:admin scope'
+            error: `Insufficient permissions - requires ${Permissions.WRITE}`
           });
         }
 
         const { address } = req.body;
 
-        if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        if (!isValidAddress(address)) {
           return res.status(400).json({
             success: false,
             error: 'Invalid Ethereum address'
           });
         }
 
-        if (!this.epistery) {
-          return res.status(500).json({
+        const list = req.params.name || req.body.list || DEFAULT_LIST;
+        audit.list = list;
+
+        if (!isValidListName(list)) {
+          return res.status(400).json({
             success: false,
-            error: 'Epistery not initialized'
+            error: 'Invalid list name'
           });
         }
 
-        await this.epistery.removeFromWhitelist(address);
+        await this.storage.removeMember(address, list);
+        this.notify(AgentEvents.MEMBER_REMOVED, { address, list, by: verification.rivetAddress, source: 'api' });
 
         res.json({
           success: true,
-          address: address
+          address: address,
+          list
         });
       } catch (error) {
         console.error('[white-list] Remove error:', error);
@@ -276,86 +458,1636 @@ export default class WhiteListAgent {
       }
     });
 
-    // Status endpoint
-    router.get('/status', async (req, res) => {
+    // Export members of a list as JSON or CSV (admin only)
+    router.get('/export', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (!this.authorize(verification, Permissions.READ)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.READ}`
+          });
+        }
+
+        const list = req.query.list || DEFAULT_LIST;
+        const format = req.query.format || 'json';
+
+        if (!isValidListName(list)) {
+          return res.status(400).json({
+            error: 'Invalid list name'
+          });
+        }
+
+        if (!['json', 'csv'].includes(format)) {
+          return res.status(400).json({
+            error: 'format must be json or csv'
+          });
+        }
+
+        const records = await this.getMemberRecords(list);
+
+        if (format === 'csv') {
+          res.set('Content-Type', 'text/csv; charset=utf-8');
+          res.set('Content-Disposition', `attachment; filename="white-list-${list}.csv"`);
+          return res.send(toCsv(records));
+        }
+
+        res.set('Content-Disposition', `attachment; filename="white-list-${list}.json"`);
+        res.json({
+          list,
+          exportedAt: new Date().toISOString(),
+          members: records.map(({ address, ...meta }) => ({ address, ...meta }))
+        });
+      } catch (error) {
+        console.error('[white-list] Export error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Import members into a list (admin only)
+    // Validates every row first; nothing is written if any row fails or dryRun is set
+    router.post('/import', async (req, res) => {
       try {
-        let whitelistCount = 0;
-
-        if (this.epistery) {
-          try {
-            const whitelist = await this.epistery.getWhitelist();
-            whitelistCount = whitelist.length;
-          } catch (e) {
-            // Ignore errors for status check
+        const audit = this.auditRequest(req, res, 'member.import');
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.WRITE)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.WRITE}`
+          });
+        }
+
+        const { list = DEFAULT_LIST, mode = ImportModes.MERGE, format = 'json', data, dryRun = false } = req.body;
+        audit.list = list;
+
+        if (!isValidListName(list)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid list name'
+          });
+        }
+
+        if (!Object.values(ImportModes).includes(mode)) {
+          return res.status(400).json({
+            success: false,
+            error: 'mode must be merge or replace'
+          });
+        }
+
+        if (!['json', 'csv'].includes(format)) {
+          return res.status(400).json({
+            success: false,
+            error: 'format must be json or csv'
+          });
+        }
+
+        let rows;
+        try {
+          rows = readImportRows(data, format);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        let current = [];
+        try {
+          current = await this.getMemberRecords(list);
+        } catch (e) {
+          // New list on this provider
+        }
+
+        const plan = planImport(rows, current, mode);
+        audit.detail = {
+          mode,
+          dryRun: Boolean(dryRun),
+          added: plan.add.length,
+          updated: plan.update.length,
+          removed: plan.remove.length,
+          errors: plan.errors.length
+        };
+        const summary = {
+          list,
+          mode,
+          dryRun: Boolean(dryRun),
+          rows: rows.length,
+          ...plan
+        };
+
+        if (plan.errors.length > 0) {
+          return res.status(dryRun ? 200 : 400).json({
+            success: false,
+            error: `${plan.errors.length} row(s) failed validation`,
+            ...summary
+          });
+        }
+
+        if (!dryRun) {
+          for (const { address, ...terms } of plan.add) {
+            await this.addMember(address, list, terms, { by: verification.rivetAddress, source: 'import' });
+          }
+          for (const { address, validFrom, expiresAt } of plan.update) {
+            // Imported terms replace the old ones; clear any lapse flag
+            await this.storage.updateMember(address, list, { validFrom, expiresAt, lapsedAt: undefined });
+          }
+          for (const { address } of plan.remove) {
+            await this.storage.removeMember(address, list);
+            this.notify(AgentEvents.MEMBER_REMOVED, { address, list, by: verification.rivetAddress, source: 'import' });
           }
+          console.log(`[white-list] Imported into ${list}: ${plan.add.length} added, ${plan.update.length} updated, ${plan.remove.length} removed`);
         }
 
         res.json({
-          agent: 'white-list',
-          version: '0.1.0',
-          whitelistCount: whitelistCount,
-          delegationSupported: true,
-          merkleTreeEnabled: false, // TODO: Enable when contract is deployed
-          config: this.config
+          success: true,
+          ...summary
         });
       } catch (error) {
+        console.error('[white-list] Import error:', error);
         res.status(500).json({
+          success: false,
           error: error.message
         });
       }
     });
 
-    console.log('[white-list] Agent routes attached');
-  }
+    // Request access - a visitor with a token asks to join the list that denied them
+    router.post('/requests', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'request.create');
+        const verification = await this.verifyDelegationToken(req, { sisters: true });
 
-  /**
-   * Verify delegation token from request
-   * @param {express.Request} req
-   * @returns {Promise<Object>} Verification result
-   */
-  async verifyDelegationToken(req) {
-    const delegationHeader = req.headers['x-epistery-delegation'];
-    const delegationCookie = req.cookies?.epistery_delegation;
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
 
-    const tokenData = delegationHeader || delegationCookie;
+        audit.actor = verification.rivetAddress;
+        audit.target = verification.rivetAddress;
 
-    if (!tokenData) {
-      return { valid: false, error: 'No delegation token provided' };
-    }
+        const { message } = req.body;
 
-    try {
-      const token = typeof tokenData === 'string' ? JSON.parse(tokenData) : tokenData;
-      const { delegation, signature } = token;
+        if (req.body.list && !isValidListName(req.body.list)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid list name'
+          });
+        }
+
+        if (message !== undefined && message !== null &&
+            !(typeof message === 'string' && message.length <= MAX_REQUEST_MESSAGE_LENGTH)) {
+          return res.status(400).json({
+            success: false,
+            error: `message must be a string of at most ${MAX_REQUEST_MESSAGE_LENGTH} characters`
+          });
+        }
+
+        const list = resolveList(this.config.audiences, verification.domain, req.body.list);
+        audit.list = list;
+
+        if ((await this.decideAccess(verification.rivetAddress, list)).allowed) {
+          return res.status(409).json({
+            success: false,
+            error: `Already allowed on ${list}`
+          });
+        }
+
+        const result = this.accessRequests.create({
+          address: verification.rivetAddress,
+          list,
+          audience: verification.domain,
+          source: req.ip || req.socket?.remoteAddress || null,
+          message: message?.trim() || null
+        });
+
+        if (result.error) {
+          if (result.retryAfterMs) {
+            res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+          }
+          return res.status(result.code === RequestErrors.DUPLICATE ? 409 : 429).json({
+            success: false,
+            error: result.error,
+            code: result.code,
+            ...(result.request && { request: toRequestStatus(result.request) })
+          });
+        }
 
-      // 1. Check expiration
-      if (Date.now() > delegation.expires) {
-        return { valid: false, error: 'Token expired' };
+        audit.detail = { id: result.request.id };
+        console.log(`[white-list] Access request for ${list} from ${verification.rivetAddress}`);
+
+        res.json({
+          success: true,
+          request: toRequestStatus(result.request)
+        });
+      } catch (error) {
+        console.error('[white-list] Request error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
       }
+    });
+
+    // Request status - the visitor's latest request for the list, for polling
+    router.get('/requests/status', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req, { sisters: true });
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (req.query.list && !isValidListName(req.query.list)) {
+          return res.status(400).json({
+            error: 'Invalid list name'
+          });
+        }
+
+        const list = resolveList(this.config.audiences, verification.domain, req.query.list);
+        const request = this.accessRequests.getLatest(verification.rivetAddress, list);
 
-      // 2. Verify domain matches request origin
-      const requestDomain = req.hostname || req.get('host')?.split(':')[0];
-      if (delegation.audience !== requestDomain) {
-        return { valid: false, error: 'Token audience mismatch' };
+        res.json({
+          address: verification.rivetAddress,
+          list,
+          request: request ? toRequestStatus(request) : null
+        });
+      } catch (error) {
+        console.error('[white-list] Request status error:', error);
+        res.status(500).json({
+          error: error.message
+        });
       }
+    });
+
+    // Request queue - pending requests by default, oldest first (admin only)
+    router.get('/requests', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
 
-      // 3. Verify signature
-      // TODO: Implement actual signature verification with rivet public key
-      if (!delegation.subject || !signature) {
-        return { valid: false, error: 'Invalid token structure' };
+        if (!this.authorize(verification, Permissions.READ)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.READ}`
+          });
+        }
+
+        const { status = RequestStatuses.PENDING, list } = req.query;
+
+        if (!Object.values(RequestStatuses).includes(status)) {
+          return res.status(400).json({
+            error: `status must be one of ${Object.values(RequestStatuses).join(', ')}`
+          });
+        }
+
+        const requests = this.accessRequests.query({ status, list });
+
+        res.json({
+          requests,
+          count: requests.length
+        });
+      } catch (error) {
+        console.error('[white-list] Requests error:', error);
+        res.status(500).json({
+          error: error.message
+        });
       }
+    });
 
-      // 4. Verify domain is in delegated Merkle tree (on-chain)
-      // TODO: Call smart contract to verify Merkle proof
+    // Approve a request - adds the address to the requested list (admin only)
+    router.post('/requests/:id/approve', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'request.approve');
+        const verification = await this.verifyDelegationToken(req);
 
-      return {
-        valid: true,
-        rivetAddress: delegation.subject,
-        domain: delegation.audience,
-        scope: delegation.scope
-      };
-    } catch (error) {
-      return { valid: false, error: `Token verification failed: ${error.message}` };
-    }
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.WRITE)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.WRITE}`
+          });
+        }
+
+        const request = this.accessRequests.get(req.params.id);
+
+        if (!request) {
+          return res.status(404).json({
+            success: false,
+            error: 'Request not found'
+          });
+        }
+
+        audit.target = request.address;
+        audit.list = request.list;
+        audit.detail = { id: request.id };
+
+        if (request.status !== RequestStatuses.PENDING) {
+          return res.status(409).json({
+            success: false,
+            error: `Request was already ${request.status}`
+          });
+        }
+
+        let terms;
+        try {
+          terms = parseMembershipTerms(req.body);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        await this.addMember(request.address, request.list, terms, { by: verification.rivetAddress, source: 'request' });
+
+        res.json({
+          success: true,
+          request,
+          ...terms
+        });
+      } catch (error) {
+        console.error('[white-list] Approve request error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Reject a request, with an optional reason shown to the visitor (admin only)
+    router.post('/requests/:id/reject', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'request.reject');
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.WRITE)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.WRITE}`
+          });
+        }
+
+        const { reason } = req.body;
+
+        if (reason !== undefined && reason !== null &&
+            !(typeof reason === 'string' && reason.length <= MAX_REQUEST_MESSAGE_LENGTH)) {
+          return res.status(400).json({
+            success: false,
+            error: `reason must be a string of at most ${MAX_REQUEST_MESSAGE_LENGTH} characters`
+          });
+        }
+
+        const request = this.accessRequests.get(req.params.id);
+
+        if (!request) {
+          return res.status(404).json({
+            success: false,
+            error: 'Request not found'
+          });
+        }
+
+        audit.target = request.address;
+        audit.list = request.list;
+        audit.detail = { id: request.id };
+
+        if (request.status !== RequestStatuses.PENDING) {
+          return res.status(409).json({
+            success: false,
+            error: `Request was already ${request.status}`
+          });
+        }
+
+        this.accessRequests.decide(request.id, RequestStatuses.REJECTED, {
+          by: verification.rivetAddress,
+          reason: reason?.trim() || null
+        });
+
+        res.json({
+          success: true,
+          request
+        });
+      } catch (error) {
+        console.error('[white-list] Reject request error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Consent page - the signed-in rivet approves a delegation for a sister domain
+    router.get('/delegate', (req, res) => {
+      const consentPath = path.join(__dirname, 'client/delegate.html');
+      if (!existsSync(consentPath)) {
+        return res.status(404).send('Consent page not found');
+      }
+      // The page posts tokens to its opener; only sister domains may frame it
+      res.set('Content-Security-Policy', `frame-ancestors 'self' ${this.getSisterSources(req).join(' ')}`);
+      res.sendFile(consentPath);
+    });
+
+    // Consent request - validate what the consent page was opened with and open a consent session
+    router.get('/delegate/request', (req, res) => {
+      try {
+        const { domain, prompt } = req.query;
+        const responseMode = req.query.response_mode === ResponseModes.MESSAGE ? ResponseModes.MESSAGE : ResponseModes.REDIRECT;
+        const parentDomain = getParentDomain(req.hostname);
+
+        if (!isSisterDomain(domain, { parentDomain, audiences: this.config.audiences })) {
+          return res.status(400).json({
+            error: `${domain || 'Domain'} is not a sister domain of this epistery host`,
+            code: ConsentErrors.INVALID_REQUEST
+          });
+        }
+
+        let scope;
+        try {
+          scope = req.query.scope ? JSON.parse(req.query.scope) : [Permissions.READ];
+        } catch (e) {
+          scope = null;
+        }
+        if (!(Array.isArray(scope) && scope.every(s => typeof s === 'string'))) {
+          return res.status(400).json({
+            error: 'scope must be a JSON array of strings',
+            code: ConsentErrors.INVALID_REQUEST
+          });
+        }
+
+        // Where the token goes: a return URL on the domain, or an origin to post it to
+        const target = { responseMode, returnUrl: null, origin: null, state: null };
+
+        if (responseMode === ResponseModes.REDIRECT) {
+          const returnUrl = parseReturnUrl(req.query.return, domain);
+          if (!returnUrl) {
+            return res.status(400).json({
+              error: `return must be an https URL on ${domain}`,
+              code: ConsentErrors.INVALID_REQUEST
+            });
+          }
+          target.returnUrl = returnUrl.href;
+        } else {
+          const origin = parseReturnUrl(req.query.origin, domain);
+          const { state } = req.query;
+          if (!origin || origin.origin !== req.query.origin || typeof state !== 'string' || !state || state.length > 128) {
+            return res.status(400).json({
+              error: `message mode needs the origin of ${domain} and a state`,
+              code: ConsentErrors.INVALID_REQUEST
+            });
+          }
+          target.origin = origin.origin;
+          target.state = state;
+        }
+
+        // From here on errors can be reported to the validated target
+        const address = this.getSessionAddress(req);
+
+        if (!address) {
+          return res.status(401).json({
+            ...target,
+            error: 'Sign in to epistery with your rivet to continue',
+            code: ConsentErrors.LOGIN_REQUIRED
+          });
+        }
+
+        // Only scopes the rivet's role holds can be approved; none is enough for /check
+        const { held, missing } = this.roles.checkScopes(address, scope);
+
+        const approvedScope = this.delegations.getScope(address, domain);
+        const approvedBefore = approvedScope !== null;
+
+        // Without a prompt only what the user approved for the domain is signed again
+        if (prompt === 'none' && !(approvedBefore && held.every(s => approvedScope.includes(s)))) {
+          return res.status(403).json({
+            ...target,
+            error: approvedBefore
+              ? `${domain} asks for more than was approved before`
+              : `${domain} has not been approved before`,
+            code: ConsentErrors.CONSENT_REQUIRED
+          });
+        }
+
+        const id = this.consents.create({ address, domain, scope: held, ...target });
+        res.set('Set-Cookie', consentCookie(id, { path: req.baseUrl || '/', secure: req.secure }));
+
+        res.json({
+          ...target,
+          address,
+          role: this.roles.getRole(address),
+          domain,
+          scope: held,
+          ...(missing.length > 0 && { droppedScope: missing }),
+          approvedBefore
+        });
+      } catch (error) {
+        console.error('[white-list] Consent error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Approve consent - exchange the rivet's signature for a token and hand it to the sister domain
+    router.post('/delegate/approve', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'delegation.issue');
+        const consentId = req.cookies ? req.cookies[CONSENT_COOKIE_NAME] : readCookie(req.headers.cookie, CONSENT_COOKIE_NAME);
+        const consent = this.consents.get(consentId);
+        const { delegation, signature } = req.body;
+
+        audit.actor = consent?.address || null;
+        audit.target = consent?.domain || null;
+
+        if (!consent) {
+          return res.status(400).json({
+            error: 'Consent session expired - reload the approval page',
+            code: ConsentErrors.INVALID_REQUEST
+          });
+        }
+
+        // The rivet signed in now must be the one the consent was shown to
+        const address = this.getSessionAddress(req);
+
+        if (!address || address.toLowerCase() !== consent.address.toLowerCase()) {
+          return res.status(401).json({
+            error: 'Signed-in rivet changed - reload the approval page',
+            code: ConsentErrors.LOGIN_REQUIRED
+          });
+        }
+
+        if (typeof delegation?.subject !== 'string' ||
+            delegation.subject.toLowerCase() !== consent.address.toLowerCase() ||
+            delegation.audience !== consent.domain ||
+            !Array.isArray(delegation.scope) ||
+            !delegation.scope.every(scope => consent.scope.includes(scope))) {
+          return res.status(400).json({
+            error: 'Delegation does not match the approved request',
+            code: ConsentErrors.INVALID_REQUEST
+          });
+        }
+
+        const { status, body } = await this.issueDelegation(delegation, signature, { issuer: req.hostname, audit });
+
+        if (status !== 200) {
+          return res.status(status).json(body);
+        }
+
+        this.consents.consume(consentId);
+        res.set('Set-Cookie', [
+          consentCookie('', { path: req.baseUrl || '/', maxAgeMs: 0, secure: req.secure }),
+          // Sister domains read the token from the parent domain cookie
+          delegationCookie(body.token, {
+            audience: body.delegation.audience,
+            parentDomain: getParentDomain(req.hostname),
+            expires: body.delegation.expires,
+            secure: req.secure
+          })
+        ]);
+
+        res.json({
+          ...body,
+          responseMode: consent.responseMode,
+          ...(consent.responseMode === ResponseModes.REDIRECT
+            ? { redirect: consent.returnUrl }
+            : { origin: consent.origin, state: consent.state })
+        });
+      } catch (error) {
+        console.error('[white-list] Consent error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Prepare delegation - build the EIP-712 delegation the rivet is asked to sign
+    router.post('/delegate/prepare', async (req, res) => {
+      try {
+        const { domain, scope, durationDays = DEFAULT_DURATION_DAYS } = req.body;
+
+        if (!domain) {
+          return res.status(400).json({
+            error: 'Domain is required'
+          });
+        }
+
+        if (!(durationDays > 0 && durationDays <= MAX_DURATION_DAYS)) {
+          return res.status(400).json({
+            error: `durationDays must be between 1 and ${MAX_DURATION_DAYS}`
+          });
+        }
+
+        const rivetAddress = this.getSessionAddress(req);
+
+        if (!rivetAddress) {
+          return res.status(401).json({
+            error: 'Not authenticated - sign in to epistery with your rivet',
+            code: ConsentErrors.LOGIN_REQUIRED
+          });
+        }
+
+        if (scope !== undefined && !(Array.isArray(scope) && scope.every(s => typeof s === 'string'))) {
+          return res.status(400).json({
+            error: 'scope must be an array of strings'
+          });
+        }
+
+        const delegation = createDelegation({
+          issuer: req.hostname,
+          subject: rivetAddress,
+          audience: domain,
+          scope,
+          durationDays
+        });
+
+        // Only scopes the subject's role holds are offered for signing
+        const { held, missing } = this.roles.checkScopes(rivetAddress, delegation.scope);
+        delegation.scope = held;
+
+        res.json({
+          delegation,
+          typedData: getDelegationTypedData(delegation),
+          ...(missing.length > 0 && { droppedScope: missing })
+        });
+      } catch (error) {
+        console.error('[white-list] Delegation error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Delegate endpoint - exchange a rivet-signed delegation for an encoded token
+    router.post('/delegate', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'delegation.issue');
+        const { delegation, signature } = req.body;
+
+        // The claimed subject; the outcome shows whether its signature held
+        audit.actor = typeof delegation?.subject === 'string' ? delegation.subject : null;
+        audit.target = typeof delegation?.audience === 'string' ? delegation.audience : null;
+
+        const { status, body } = await this.issueDelegation(delegation, signature, { issuer: req.hostname, audit });
+        res.status(status).json(body);
+      } catch (error) {
+        console.error('[white-list] Delegation error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Delegations page - lets a rivet holder see and revoke what they delegated
+    router.get('/delegations', (req, res) => {
+      const pagePath = path.join(__dirname, 'client/delegations.html');
+      if (!existsSync(pagePath)) {
+        return res.status(404).send('Delegations page not found');
+      }
+      res.sendFile(pagePath);
+    });
+
+    // My delegations - active delegations of the signed-in rivet (or token subject)
+    router.get('/delegations/mine', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+        const address = this.getRequester(req, verification);
+
+        if (!address) {
+          return res.status(401).json({
+            error: 'Not authenticated - sign in to epistery with your rivet',
+            code: ConsentErrors.LOGIN_REQUIRED
+          });
+        }
+
+        const delegations = this.revocations.getActive(address);
+
+        res.json({
+          address,
+          delegations,
+          count: delegations.length
+        });
+      } catch (error) {
+        console.error('[white-list] Delegations error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke a single delegation (subject or admin)
+    router.post('/delegations/:nonce/revoke', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'delegation.revoke');
+        const verification = await this.verifyDelegationToken(req);
+        const requester = this.getRequester(req, verification);
+
+        if (!requester) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = requester;
+
+        const { nonce } = req.params;
+        audit.target = nonce;
+        const issued = this.revocations.getIssued(nonce);
+        const isAdmin = verification.valid && this.authorize(verification, Permissions.ADMIN);
+        const isSubject = issued && issued.subject.toLowerCase() === requester.toLowerCase();
+
+        if (!isAdmin && !issued) {
+          return res.status(404).json({
+            success: false,
+            error: 'Delegation not found'
+          });
+        }
+
+        if (!isAdmin && !isSubject) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only the delegation subject or an admin can revoke it'
+          });
+        }
+
+        const entry = this.revocations.revoke(nonce, { by: requester });
+
+        // Without another active delegation the domain counts as not approved,
+        // so silent renewal cannot bring it back
+        if (issued && !this.revocations.getActive(issued.subject).some(d => d.audience === issued.audience)) {
+          await this.delegations.removeWhere(leaf =>
+            leaf.rivet.toLowerCase() === issued.subject.toLowerCase() && leaf.domain === issued.audience);
+        }
+
+        res.json({
+          success: true,
+          nonce,
+          revokedAt: entry.revokedAt
+        });
+      } catch (error) {
+        console.error('[white-list] Revoke error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke all delegations of a subject (the subject itself or admin)
+    router.post('/delegations/subject/:address/revoke', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'delegation.revoke-subject');
+        const verification = await this.verifyDelegationToken(req);
+        const requester = this.getRequester(req, verification);
+
+        if (!requester) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = requester;
+
+        const { address } = req.params;
+        audit.target = address;
+
+        if (!isValidAddress(address)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid Ethereum address'
+          });
+        }
+
+        const isAdmin = verification.valid && this.authorize(verification, Permissions.ADMIN);
+        const isSubject = address.toLowerCase() === requester.toLowerCase();
+
+        if (!isAdmin && !isSubject) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only the address itself or an admin can revoke its delegations'
+          });
+        }
+
+        const entry = this.revocations.revokeSubject(address, { by: requester });
+        await this.delegations.removeWhere(leaf => leaf.rivet.toLowerCase() === address.toLowerCase());
+
+        res.json({
+          success: true,
+          subject: address,
+          revokedAt: entry.revokedAt
+        });
+      } catch (error) {
+        console.error('[white-list] Revoke error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke all delegations for an audience domain (admin only)
+    router.post('/delegations/audience/:domain/revoke', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'delegation.revoke-audience');
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const { domain } = req.params;
+        audit.target = domain;
+        const entry = this.revocations.revokeAudience(domain, { by: verification.rivetAddress });
+        await this.delegations.removeWhere(leaf => leaf.domain === domain);
+
+        res.json({
+          success: true,
+          audience: domain,
+          revokedAt: entry.revokedAt
+        });
+      } catch (error) {
+        console.error('[white-list] Revoke error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Delegation Merkle root - current tree root and the root held by the anchor
+    router.get('/delegations/root', async (req, res) => {
+      try {
+        res.json({
+          root: this.delegations.root,
+          anchoredRoot: await this.delegations.anchor.getRoot(),
+          anchor: this.delegations.anchor.name || 'custom',
+          leafCount: this.delegations.size
+        });
+      } catch (error) {
+        console.error('[white-list] Root error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Roles - every address with a role (admin only)
+    router.get('/roles', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        res.json({
+          roles: this.roles.list(),
+          permissions: ROLE_PERMISSIONS,
+          you: {
+            address: verification.rivetAddress,
+            role: this.roles.getRole(verification.rivetAddress)
+          }
+        });
+      } catch (error) {
+        console.error('[white-list] Roles error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Grant a role (owners manage owners and admins, admins manage editors and viewers)
+    router.post('/roles/grant', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'role.grant');
+        audit.target = typeof req.body.address === 'string' ? req.body.address : null;
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const { address, role } = req.body;
+        audit.detail = { role };
+
+        if (!isValidAddress(address)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid Ethereum address'
+          });
+        }
+
+        if (!Object.values(Roles).includes(role)) {
+          return res.status(400).json({
+            success: false,
+            error: `role must be one of ${Object.values(Roles).join(', ')}`
+          });
+        }
+
+        const currentRole = this.roles.getRole(address);
+
+        if (!this.roles.canManage(verification.rivetAddress, role) ||
+            (currentRole && !this.roles.canManage(verification.rivetAddress, currentRole))) {
+          return res.status(403).json({
+            success: false,
+            error: `Your role cannot grant the ${role} role${currentRole ? ` to a ${currentRole}` : ''}`
+          });
+        }
+
+        let entry;
+        try {
+          entry = this.roles.grant(address, role, { by: verification.rivetAddress });
+        } catch (error) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        audit.detail = { role, previousRole: currentRole };
+
+        res.json({
+          success: true,
+          ...entry
+        });
+      } catch (error) {
+        console.error('[white-list] Grant role error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Revoke a role
+    router.post('/roles/revoke', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'role.revoke');
+        audit.target = typeof req.body.address === 'string' ? req.body.address : null;
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const { address } = req.body;
+
+        if (!isValidAddress(address)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid Ethereum address'
+          });
+        }
+
+        const role = this.roles.getRole(address);
+
+        if (!role) {
+          return res.status(404).json({
+            success: false,
+            error: 'Address has no role'
+          });
+        }
+
+        if (!this.roles.canManage(verification.rivetAddress, role)) {
+          return res.status(403).json({
+            success: false,
+            error: `Your role cannot revoke the ${role} role`
+          });
+        }
+
+        try {
+          this.roles.revoke(address);
+        } catch (error) {
+          return res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        audit.detail = { role };
+
+        res.json({
+          success: true,
+          address,
+          role
+        });
+      } catch (error) {
+        console.error('[white-list] Revoke role error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Audit log - membership and delegation changes, newest first (admin only)
+    router.get('/audit', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const { action, actor, target, list, outcome, offset, limit } = req.query;
+
+        if (outcome && !Object.values(AuditOutcomes).includes(outcome)) {
+          return res.status(400).json({
+            error: `outcome must be one of ${Object.values(AuditOutcomes).join(', ')}`
+          });
+        }
+
+        const parseTime = value => !value ? undefined : /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        const since = parseTime(req.query.since);
+        const until = parseTime(req.query.until);
+
+        if (Number.isNaN(since) || Number.isNaN(until)) {
+          return res.status(400).json({
+            error: 'since and until must be timestamps or ISO dates'
+          });
+        }
+
+        res.json({
+          ...this.audit.query({ action, actor, target, list, outcome, since, until, offset: Number(offset), limit: Number(limit) }),
+          integrity: this.audit.verify()
+        });
+      } catch (error) {
+        console.error('[white-list] Audit error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Webhooks - configured endpoints and recent deliveries, newest first (admin only)
+    router.get('/webhooks', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const { status, event } = req.query;
+
+        if (status && !Object.values(DeliveryStatuses).includes(status)) {
+          return res.status(400).json({
+            error: `status must be one of ${Object.values(DeliveryStatuses).join(', ')}`
+          });
+        }
+
+        const limit = Number(req.query.limit);
+        const deliveries = this.webhooks.getDeliveries({ status, event, ...(limit > 0 && { limit }) });
+
+        res.json({
+          endpoints: this.webhooks.getEndpoints(),
+          deliveries,
+          count: deliveries.length
+        });
+      } catch (error) {
+        console.error('[white-list] Webhooks error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Test delivery - send webhook.test to one endpoint, or all (admin only)
+    router.post('/webhooks/test', async (req, res) => {
+      try {
+        const audit = this.auditRequest(req, res, 'webhook.test');
+        const verification = await this.verifyDelegationToken(req);
+
+        if (!verification.valid) {
+          return res.status(401).json({
+            success: false,
+            error: verification.error,
+            code: verification.code
+          });
+        }
+
+        audit.actor = verification.rivetAddress;
+
+        if (!this.authorize(verification, Permissions.ADMIN)) {
+          return res.status(403).json({
+            success: false,
+            error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+          });
+        }
+
+        const endpoint = req.body.endpoint ? String(req.body.endpoint) : null;
+        audit.target = endpoint;
+
+        if (this.webhooks.endpoints.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'No webhooks configured'
+          });
+        }
+
+        const deliveries = await this.webhooks.test(endpoint, { by: verification.rivetAddress });
+
+        if (!deliveries) {
+          return res.status(404).json({
+            success: false,
+            error: `No webhook with id ${endpoint}`
+          });
+        }
+
+        // Reports the first attempt; failed ones keep retrying in the background
+        res.json({
+          success: deliveries.every(delivery => delivery.status === DeliveryStatuses.DELIVERED),
+          deliveries
+        });
+      } catch (error) {
+        console.error('[white-list] Webhook test error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Live updates (SSE) - list counts for everyone, member changes for whitelist:read holders
+    router.get('/events', async (req, res) => {
+      try {
+        const verification = await this.verifyDelegationToken(req);
+
+        this.stream.connect(req, res, {
+          // Checked per event, so a revoked role, a revoked token or an expired
+          // token stops member details
+          canSeeAdmin: () => verification.valid &&
+            verification.delegation.expires > Date.now() &&
+            !this.revocations.isRevoked(verification.delegation) &&
+            this.authorize(verification, Permissions.READ),
+          lastEventId: req.get('last-event-id') || req.query.lastEventId || null
+        });
+      } catch (error) {
+        console.error('[white-list] Events error:', error);
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Status endpoint
+    router.get('/status', async (req, res) => {
+      try {
+        const lists = await this.getListCounts();
+
+        res.json({
+          agent: 'white-list',
+          version: '0.1.0',
+          whitelistCount: lists[DEFAULT_LIST] || 0,
+          lists,
+          storage: this.storage.name || 'custom',
+          ...(typeof this.storage.getStats === 'function' && { cache: this.storage.getStats() }),
+          delegationSupported: true,
+          merkleTreeEnabled: true,
+          merkleRoot: this.delegations.root,
+          // Only settings a visitor may know; owners, roles, file paths and
+          // webhook secrets stay private
+          config: {
+            devMode: this.devMode.mode,
+            audiences: this.config.audiences || {},
+            clientCacheTtl: this.config.clientCacheTtl ?? DEFAULT_CLIENT_CACHE_TTL
+          }
+        });
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    if (this.devMode.mode !== DevModes.OFF) {
+      console.warn(`[white-list] Dev mode enabled (${this.devMode.mode}) - do not use in production`);
+    }
+
+    if (!this.audit.path) {
+      console.warn('[white-list] Audit log is kept in memory - set auditFile so it survives a restart');
+    }
+
+    if (!this.delegations.path) {
+      console.warn('[white-list] Delegations are kept in memory - set delegationTreeFile and revocationFile so tokens survive a restart');
+    }
+
+    if (!this.roles.list().some(entry => entry.role === Roles.OWNER)) {
+      console.warn('[white-list] No owners configured - set "owners" in the agent config to manage lists and roles');
+    }
+
+    this.sweeper.start();
+
+    // Picks up changes made outside this agent (directly on chain) while anyone listens
+    const countsIntervalMs = this.config.events?.countsIntervalMs ?? DEFAULT_COUNTS_INTERVAL_MS;
+    if (countsIntervalMs > 0 && !this.countsTimer) {
+      this.countsTimer = setInterval(() => {
+        if (this.stream.clients.size > 0) {
+          this.publishCounts().catch(error => console.error('[white-list] Counts update failed:', error));
+        }
+      }, countsIntervalMs);
+      this.countsTimer.unref?.();
+    }
+
+    console.log('[white-list] Agent routes attached');
+  }
+
+  /**
+   * Decide whether a verified address may access
+   * Dev mode, when configured, takes precedence over the storage provider.
+   *
+   * @param {string} address
+   * @param {string} [list] - List that decides access
+   * @returns {Promise<Object>} { allowed, decidedBy, membership? }
+   */
+  async decideAccess(address, list = DEFAULT_LIST) {
+    return getDevModeDecision(this.devMode, address) || checkMembership(this.storage, address, list);
+  }
+
+
+  /**
+   * Names of all lists: those the provider holds plus those audiences map to
+   */
+  async getListNames() {
+    const names = new Set([DEFAULT_LIST]);
+    try {
+      for (const name of await this.storage.getLists()) {
+        names.add(name);
+      }
+    } catch (e) {
+      // Provider unavailable - still report configured lists
+    }
+    for (const name of Object.values(this.config.audiences || {})) {
+      names.add(name);
+    }
+    return [...names];
+  }
+
+  /**
+   * Whether a verified token may use a permission
+   * Both the token scope and the subject's current role must grant it, so
+   * revoking a role takes effect before the subject's tokens expire.
+   */
+  authorize(verification, permission) {
+    return Boolean(verification.scope?.includes(permission)) &&
+      this.roles.hasPermission(verification.rivetAddress, permission);
+  }
+
+  /**
+   * Record a request in the audit log once its response has been sent
+   * Routes fill in actor, target, list and detail on the returned record.
+   */
+  auditRequest(req, res, action) {
+    const record = { action, actor: null, target: null, list: null, detail: null };
+
+    res.on('finish', () => {
+      try {
+        this.audit.append({
+          ...record,
+          ip: req.ip || req.socket?.remoteAddress || null,
+          outcome: outcomeForStatus(res.statusCode),
+          status: res.statusCode
+        });
+      } catch (error) {
+        console.error('[white-list] Audit write failed:', error);
+      }
+    });
+
+    return record;
+  }
+
+  /**
+   * Add an address to a list
+   * Shared by /add, /import and request approval; a pending access request
+   * of the address for that list is approved with it.
+   */
+  async addMember(address, list, terms, { by = null, source = 'api' } = {}) {
+    await this.storage.addMember(address, list, { ...terms, addedAt: Date.now() });
+    this.notify(AgentEvents.MEMBER_ADDED, { address, list, ...terms, by, source });
+
+    const request = this.accessRequests.getLatest(address, list);
+    if (request?.status === RequestStatuses.PENDING) {
+      this.accessRequests.decide(request.id, RequestStatuses.APPROVED, { by });
+    }
+  }
+
+  /**
+   * Emit an agent event; a failing listener never fails the request
+   */
+  notify(event, data) {
+    try {
+      this.emit(event, { ...data, at: Date.now() });
+    } catch (error) {
+      console.error(`[white-list] ${event} listener failed:`, error);
+    }
+  }
+
+  /**
+   * Publish list counts on the event stream, coalescing bursts of changes
+   * (imports, sweeps) into one event
+   */
+  scheduleCountsUpdate() {
+    if (this.countsUpdate) {
+      return;
+    }
+    this.countsUpdate = setTimeout(() => {
+      this.countsUpdate = null;
+      this.publishCounts().catch(error => console.error('[white-list] Counts update failed:', error));
+    }, COUNTS_DEBOUNCE_MS);
+    this.countsUpdate.unref?.();
+  }
+
+  /**
+   * Publish a `counts` event if any list count changed since the last one
+   */
+  async publishCounts() {
+    const lists = await this.getListCounts();
+    const key = JSON.stringify(lists);
+    if (key === this.publishedCounts) {
+      return;
+    }
+    this.publishedCounts = key;
+    this.stream.publish('counts', { lists, whitelistCount: lists[DEFAULT_LIST] || 0 });
+  }
+
+  /**
+   * Member records of a list, or bare { address } records when the
+   * storage provider keeps no metadata
+   */
+  async getMemberRecords(list = DEFAULT_LIST) {
+    return typeof this.storage.getMemberRecords === 'function'
+      ? this.storage.getMemberRecords(list)
+      : (await this.storage.getMembers(list)).map(address => ({ address }));
+  }
+
+  /**
+   * Member count per list; lists that cannot be read count as 0
+   */
+  async getListCounts() {
+    const counts = {};
+    for (const name of await this.getListNames()) {
+      try {
+        counts[name] = typeof this.storage.getMemberCount === 'function'
+          ? await this.storage.getMemberCount(name)
+          : (await this.storage.getMembers(name)).length;
+      } catch (e) {
+        counts[name] = 0;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Address of the rivet signed in to this epistery host, or null
+   * The host's epistery middleware sets req.episteryClient once the rivet
+   * has completed its key exchange; hosts with their own sessions can set
+   * req.session.rivetAddress instead.
+   */
+  getSessionAddress(req) {
+    const address = req.episteryClient?.address || req.session?.rivetAddress;
+    return isValidAddress(address) ? address : null;
+  }
+
+  /**
+   * Seconds a browser may reuse a /check result (`cacheTtl`)
+   * Only granted access is cached, and never past the delegation or the
+   * membership expiry.
+   */
+  getClientCacheTtl(verification, decision, now = Date.now()) {
+    if (!decision.allowed) {
+      return 0;
+    }
+    const limits = [this.config.clientCacheTtl ?? DEFAULT_CLIENT_CACHE_TTL, (verification.delegation.expires - now) / 1000];
+    if (Number.isFinite(decision.membership?.expiresAt)) {
+      limits.push((decision.membership.expiresAt - now) / 1000);
+    }
+    return Math.max(0, Math.floor(Math.min(...limits)));
+  }
+
+  /**
+   * Address a request acts for: the subject of a valid delegation token,
+   * else the rivet signed in to this host
+   * Session-authenticated writes must come from this host's own pages, so
+   * other sites cannot ride the session cookie.
+   */
+  getRequester(req, verification) {
+    if (verification.valid) {
+      return verification.rivetAddress;
+    }
+    if (req.method !== 'GET' && req.get('origin') !== `${req.protocol}://${req.get('host')}`) {
+      return null;
+    }
+    return this.getSessionAddress(req);
+  }
+
+  /**
+   * Origins of the sister domains, for the consent page's frame-ancestors
+   */
+  getSisterSources(req) {
+    const parentDomain = getParentDomain(req.hostname);
+    return [
+      `${req.protocol}://${parentDomain}`,
+      `${req.protocol}://*.${parentDomain}`,
+      ...Object.keys(this.config.audiences || {}).map(domain => `${req.protocol}://${domain}`)
+    ];
+  }
+
+  /**
+   * Validate a rivet-signed delegation and issue its token
+   * Shared by POST /delegate and the consent page.
+   *
+   * @param {Object} delegation
+   * @param {string} signature
+   * @param {Object} options
+   * @param {string} options.issuer - This epistery host
+   * @param {Object} options.audit - Audit record of the request
+   * @returns {Promise<Object>} { status, body }; body holds the token when status is 200
+   */
+  async issueDelegation(delegation, signature, { issuer, audit }) {
+    const result = validateSignedDelegation(delegation, signature, { issuer });
+
+    if (!result.valid) {
+      return { status: 400, body: { error: result.error, code: result.code } };
+    }
+
+    // The signed scope must not exceed what the subject's role holds
+    const { missing } = this.roles.checkScopes(result.delegation.subject, result.delegation.scope);
+
+    if (missing.length > 0) {
+      return {
+        status: 403,
+        body: { error: `Subject does not hold scope: ${missing.join(', ')}`, code: DelegationErrors.SCOPE_NOT_GRANTED }
+      };
+    }
+
+    if (!this.revocations.recordIssued(result.delegation)) {
+      return {
+        status: 409,
+        body: { error: 'Delegation nonce has already been used', code: DelegationErrors.NONCE_REUSED }
+      };
+    }
+
+    audit.detail = { nonce: result.delegation.nonce, scope: result.delegation.scope, expires: result.delegation.expires };
+
+    // Add (rivet, domain) to the delegation Merkle tree; its root is anchored with the next batch
+    const { proof: merkleProof } = await this.delegations.add(result.delegation.subject, result.delegation.audience, {
+      scope: result.delegation.scope,
+      expires: result.delegation.expires
+    });
+
+    const { subject, audience, scope, nonce, expires } = result.delegation;
+    this.notify(AgentEvents.DELEGATION_CREATED, { subject, audience, scope, nonce, expires });
+
+    return {
+      status: 200,
+      body: {
+        token: encodeDelegationToken({ delegation: result.delegation, signature, merkleProof }),
+        delegation: result.delegation,
+        signature,
+        merkleProof
+      }
+    };
+  }
+
+  /**
+   * Verify delegation token from request
+   * Tokens must be issued for this host. The visitor-facing routes (/check,
+   * /requests) pass `sisters`, since sister sites send their visitors'
+   * tokens there; sister sites can read those tokens, so they must never
+   * reach write, admin or role routes.
+   * @param {express.Request} req
+   * @param {Object} [options]
+   * @param {boolean} [options.sisters=false] - Also accept tokens issued for sister domains
+   * @param {string|null} [options.issuer] - Epistery host the token must come from (default: this host)
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyDelegationToken(req, { sisters = false, issuer } = {}) {
+    const requestDomain = req.hostname || req.get('host')?.split(':')[0];
+    const parentDomain = getParentDomain(requestDomain);
+    return verifyDelegation(getTokenFromRequest(req), {
+      audience: !sisters ? requestDomain : domain => domain === requestDomain ||
+        isSisterDomain(domain, { parentDomain, audiences: this.config.audiences }),
+      issuer: issuer === undefined ? requestDomain : issuer,
+      revocations: this.revocations,
+      delegations: this.delegations
+    });
   }
 
   /**
@@ -363,5 +2095,12 @@ export default class WhiteListAgent {
    */
   async cleanup() {
     console.log('[white-list] Agent cleanup');
+    this.revocations.stop();
+    this.sweeper.stop();
+    this.webhooks.stop();
+    this.stream.stop();
+    clearTimeout(this.countsUpdate);
+    clearInterval(this.countsTimer);
+    await this.delegations.stop();
   }
 }
@@ -0,0 +1,167 @@
+import { readFileSync, writeFileSync, appendFileSync, renameSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+export const AuditOutcomes = {
+  SUCCESS: 'success',
+  DENIED: 'denied',
+  REJECTED: 'rejected',
+  ERROR: 'error'
+};
+
+/**
+ * Outcome of a request from its response status
+ */
+export function outcomeForStatus(status) {
+  if (status < 400) {
+    return AuditOutcomes.SUCCESS;
+  }
+  if (status === 401 || status === 403) {
+    return AuditOutcomes.DENIED;
+  }
+  return status < 500 ? AuditOutcomes.REJECTED : AuditOutcomes.ERROR;
+}
+
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Audit Log
+ *
+ * Append-only record of membership and delegation changes. Each entry
+ * carries the hash of the previous one (prevHash) and its own hash over
+ * every other field, so editing, dropping or reordering entries breaks
+ * the chain and shows up in verify().
+ *
+ * Entries are kept in memory and appended as JSON lines when `path` is set.
+ * The chain alone cannot show entries cut off its end, so the seq and hash
+ * of the last entry are also written to `<path>.head`, and verify()
+ * checks the log still reaches it. Once a loaded log fails verification
+ * that head is left alone, so the break stays visible across restarts.
+ */
+export class AuditLog {
+  constructor({ path = null } = {}) {
+    this.path = path;
+    this.headPath = path ? `${path}.head` : null;
+    this.entries = [];
+    this.recordedHead = null; // { seq, hash } of the last entry written to path
+    this.broken = false;
+    this.load();
+  }
+
+  get head() {
+    return this.entries.length ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} event - { action, actor, target, list, ip, outcome, status, detail }
+   * @returns {Object} The stored entry
+   */
+  append({ action, actor = null, target = null, list = null, ip = null, outcome, status = null, detail = null }) {
+    const entry = {
+      seq: this.entries.length + 1,
+      at: Date.now(),
+      action,
+      actor,
+      target,
+      list,
+      ip,
+      outcome,
+      status,
+      detail,
+      prevHash: this.head
+    };
+    entry.hash = hashEntry(entry);
+
+    this.entries.push(entry);
+    if (this.path) {
+      appendFileSync(this.path, JSON.stringify(entry) + '\n');
+      if (!this.broken) {
+        this.saveHead(entry);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Filter and page through entries, newest first
+   * @returns {Object} { entries, total, offset, limit }
+   */
+  query({ action, actor, target, list, outcome, since, until, offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const matches = this.entries.filter(entry =>
+      (!action || entry.action === action) &&
+      (!actor || entry.actor?.toLowerCase() === actor.toLowerCase()) &&
+      (!target || entry.target?.toLowerCase() === target.toLowerCase()) &&
+      (!list || entry.list === list) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!since || entry.at >= since) &&
+      (!until || entry.at <= until)
+    ).reverse();
+
+    const start = Math.max(0, Math.floor(offset) || 0);
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(limit) || DEFAULT_PAGE_SIZE));
+
+    return {
+      entries: matches.slice(start, start + size),
+      total: matches.length,
+      offset: start,
+      limit: size
+    };
+  }
+
+  /**
+   * Walk the chain, check every link and that it still reaches the
+   * recorded head
+   * @returns {Object} { valid, length, head, brokenAt? } - brokenAt is the seq of the first bad or missing entry
+   */
+  verify() {
+    const broken = brokenAt => ({ valid: false, length: this.entries.length, head: this.head, brokenAt });
+    let prevHash = GENESIS_HASH;
+    for (const [index, entry] of this.entries.entries()) {
+      if (entry.seq !== index + 1 || entry.prevHash !== prevHash || entry.hash !== hashEntry(entry)) {
+        return broken(index + 1);
+      }
+      prevHash = entry.hash;
+    }
+    const recorded = this.recordedHead;
+    if (recorded && this.entries[recorded.seq - 1]?.hash !== recorded.hash) {
+      return broken(Math.min(recorded.seq, this.entries.length + 1));
+    }
+    return { valid: true, length: this.entries.length, head: this.head };
+  }
+
+  load() {
+    if (!this.path) {
+      return;
+    }
+    if (existsSync(this.headPath)) {
+      this.recordedHead = JSON.parse(readFileSync(this.headPath, 'utf8'));
+    }
+    if (existsSync(this.path)) {
+      this.entries = readFileSync(this.path, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+    }
+
+    const integrity = this.verify();
+    if (!integrity.valid) {
+      this.broken = true;
+      console.error(`[white-list] Audit log chain is broken at entry ${integrity.brokenAt}`);
+    }
+  }
+
+  saveHead({ seq, hash }) {
+    this.recordedHead = { seq, hash };
+    // Write then rename so a crash never leaves a half-written file
+    const tmpPath = `${this.headPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(this.recordedHead));
+    renameSync(tmpPath, this.headPath);
+  }
+}
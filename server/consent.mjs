@@ -0,0 +1,160 @@
+import { randomBytes } from 'crypto';
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+export const CONSENT_COOKIE_NAME = 'epistery_consent';
+export const DELEGATION_COOKIE_NAME = 'epistery_delegation';
+
+// Error codes of the consent flow, also posted back in message mode
+export const ConsentErrors = {
+  INVALID_REQUEST: 'invalid_request',
+  LOGIN_REQUIRED: 'login_required',
+  CONSENT_REQUIRED: 'consent_required',
+  ACCESS_DENIED: 'access_denied'
+};
+
+// Ways the consent page hands the token back to the sister domain
+export const ResponseModes = {
+  REDIRECT: 'redirect',
+  MESSAGE: 'message'
+};
+
+/**
+ * Delegation consent
+ *
+ * GET /delegate opens a consent session for one (rivet, domain, scope)
+ * request. The session id travels in an HttpOnly cookie scoped to the
+ * agent, so only the approval page that was shown can complete it, and
+ * only for the rivet that was signed in when it was shown.
+ *
+ * Return URLs and postMessage origins are checked against the sister
+ * domains of this epistery host, so the flow cannot be used as an open
+ * redirect or to leak tokens to another site.
+ */
+
+/**
+ * Registrable domain shared by this epistery host and its sister domains
+ * epistery.mydomain.com -> mydomain.com, epistery.localhost -> localhost
+ */
+export function getParentDomain(hostname) {
+  const labels = hostname.split('.');
+  return labels.length > 2 || labels[labels.length - 1] === 'localhost'
+    ? labels.slice(1).join('.') || hostname
+    : hostname;
+}
+
+/**
+ * Whether a domain may receive delegations from this host: the parent
+ * domain, one of its subdomains, or an audience listed in the config
+ */
+export function isSisterDomain(domain, { parentDomain, audiences = {} }) {
+  if (typeof domain !== 'string' || !domain) {
+    return false;
+  }
+  return domain === parentDomain ||
+    domain.endsWith(`.${parentDomain}`) ||
+    Object.prototype.hasOwnProperty.call(audiences, domain);
+}
+
+/**
+ * Parse a return URL (or postMessage origin) for `domain`
+ * @returns {URL|null} null unless it is an http(s) URL on exactly `domain`,
+ * over https except for localhost
+ */
+export function parseReturnUrl(value, domain) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return null;
+  }
+  const local = url.hostname === 'localhost' || url.hostname.endsWith('.localhost');
+  if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) {
+    return null;
+  }
+  if (url.hostname !== domain || url.username || url.password) {
+    return null;
+  }
+  return url;
+}
+
+/**
+ * Name of the delegation cookie for one audience
+ * Every sister domain gets its own, so approving one never overwrites
+ * the token of another on the shared parent domain.
+ */
+export function delegationCookieName(audience) {
+  return `${DELEGATION_COOKIE_NAME}.${audience}`;
+}
+
+/**
+ * Set-Cookie value for the delegation token on the parent domain
+ */
+export function delegationCookie(token, { audience, parentDomain, expires, secure }) {
+  return [
+    `${delegationCookieName(audience)}=${encodeURIComponent(token)}`,
+    // Browsers refuse Domain=localhost; a host-only cookie is used there
+    ...(parentDomain === 'localhost' ? [] : [`Domain=${parentDomain}`]),
+    'Path=/',
+    `Expires=${new Date(expires).toUTCString()}`,
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+/**
+ * Set-Cookie value binding the browser to a consent session
+ */
+export function consentCookie(id, { path, maxAgeMs = DEFAULT_TTL_MS, secure }) {
+  return [
+    `${CONSENT_COOKIE_NAME}=${id}`,
+    `Path=${path}`,
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    ...(secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+export class ConsentStore {
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map(); // id -> { address, domain, scope, responseMode, returnUrl, origin, state, expiresAt }
+  }
+
+  /**
+   * Open a consent session
+   * @returns {string} Session id for the consent cookie
+   */
+  create(request) {
+    this.prune();
+    const id = randomBytes(24).toString('base64url');
+    this.sessions.set(id, { ...request, expiresAt: Date.now() + this.ttlMs });
+    return id;
+  }
+
+  get(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Close a session once its delegation has been issued
+   */
+  consume(id) {
+    const session = this.get(id);
+    this.sessions.delete(id);
+    return session;
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
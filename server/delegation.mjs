@@ -0,0 +1,399 @@
+import crypto from 'crypto';
+import { verifyMessage, verifyTypedData, TypedDataEncoder, getAddress, isAddress } from 'ethers';
+import { DELEGATION_COOKIE_NAME, delegationCookieName } from './consent.mjs';
+
+/**
+ * Delegation tokens
+ *
+ * Shared creation, encoding and verification of rivet delegation tokens.
+ * Used by both the AgentManager entry point (index.mjs) and the
+ * standalone router (server/index.mjs).
+ *
+ * Token formats:
+ *   v1     "v1.<base64url(JSON)>" - EIP-712 typed data signed by the rivet
+ *   legacy raw JSON               - EIP-191 personal_sign over canonical JSON
+ */
+
+/**
+ * Error codes returned in failed verification results
+ */
+export const DelegationErrors = {
+  TOKEN_MISSING: 'TOKEN_MISSING',
+  TOKEN_MALFORMED: 'TOKEN_MALFORMED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  AUDIENCE_MISMATCH: 'AUDIENCE_MISMATCH',
+  ISSUER_MISMATCH: 'ISSUER_MISMATCH',
+  DURATION_EXCEEDED: 'DURATION_EXCEEDED',
+  SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+  SIGNER_MISMATCH: 'SIGNER_MISMATCH',
+  TOKEN_NOT_ISSUED: 'TOKEN_NOT_ISSUED',
+  TOKEN_REVOKED: 'TOKEN_REVOKED',
+  MERKLE_PROOF_MISSING: 'MERKLE_PROOF_MISSING',
+  MERKLE_PROOF_INVALID: 'MERKLE_PROOF_INVALID',
+  NONCE_REUSED: 'NONCE_REUSED',
+  SCOPE_NOT_GRANTED: 'SCOPE_NOT_GRANTED'
+};
+
+export const DELEGATION_TOKEN_VERSION = 1;
+export const DEFAULT_DURATION_DAYS = 30;
+export const MAX_DURATION_DAYS = 90;
+
+const TOKEN_PREFIX = `v${DELEGATION_TOKEN_VERSION}.`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SIGNATURE_PATTERN = /^0x[a-fA-F0-9]{130}$/;
+
+/**
+ * EIP-712 domain and types for delegations
+ * Wallets and third-party verifiers can check tokens with these alone.
+ */
+export const DELEGATION_DOMAIN = {
+  name: 'Epistery Delegation',
+  version: '1'
+};
+
+export const DELEGATION_TYPES = {
+  Delegation: [
+    { name: 'issuer', type: 'string' },
+    { name: 'subject', type: 'address' },
+    { name: 'audience', type: 'string' },
+    { name: 'scope', type: 'string[]' },
+    { name: 'expires', type: 'uint256' },
+    { name: 'nonce', type: 'string' },
+    { name: 'createdAt', type: 'uint256' }
+  ]
+};
+
+function failure(code, error) {
+  return { valid: false, code, error };
+}
+
+function pickTypedFields(delegation) {
+  const message = {};
+  for (const { name } of DELEGATION_TYPES.Delegation) {
+    message[name] = delegation[name];
+  }
+  return message;
+}
+
+/**
+ * Read the raw delegation token from a request
+ * Header takes precedence over cookie, and the cookie for this host over
+ * the unkeyed one older versions set. The Cookie header is parsed directly
+ * when no cookie-parser middleware has filled in req.cookies.
+ */
+export function getTokenFromRequest(req) {
+  const cookie = name => req.cookies ? req.cookies[name] : readCookie(req.headers.cookie, name);
+  return req.headers['x-epistery-delegation'] ||
+    (req.hostname && cookie(delegationCookieName(req.hostname))) ||
+    cookie(DELEGATION_COOKIE_NAME) ||
+    null;
+}
+
+/**
+ * Read one cookie from a raw Cookie header
+ */
+export function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      const value = part.slice(index + 1).trim();
+      try {
+        return decodeURIComponent(value);
+      } catch (e) {
+        return value;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an unsigned delegation
+ */
+export function createDelegation({ issuer, subject, audience, scope, durationDays = DEFAULT_DURATION_DAYS, now = Date.now() }) {
+  return {
+    issuer,
+    subject: getAddress(subject),
+    audience,
+    scope: scope || ['whitelist:read'],
+    expires: now + (durationDays * DAY_MS),
+    nonce: crypto.randomUUID(),
+    createdAt: now
+  };
+}
+
+/**
+ * Full EIP-712 payload for a delegation, as passed to eth_signTypedData_v4
+ */
+export function getDelegationTypedData(delegation) {
+  return TypedDataEncoder.getPayload(DELEGATION_DOMAIN, DELEGATION_TYPES, delegation);
+}
+
+/**
+ * Sign a delegation with an ethers-compatible signer (the rivet)
+ */
+export function signDelegation(delegation, signer) {
+  return signer.signTypedData(DELEGATION_DOMAIN, DELEGATION_TYPES, delegation);
+}
+
+/**
+ * Encode a signed token for the X-Epistery-Delegation header / cookie
+ */
+export function encodeDelegationToken({ delegation, signature, ...extra }) {
+  const payload = { ...extra, v: DELEGATION_TOKEN_VERSION, delegation, signature };
+  return TOKEN_PREFIX + Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode raw token data (v1 string, legacy JSON string or object)
+ */
+export function decodeDelegationToken(tokenData) {
+  if (typeof tokenData !== 'string') {
+    return tokenData;
+  }
+  if (tokenData.startsWith(TOKEN_PREFIX)) {
+    const json = Buffer.from(tokenData.slice(TOKEN_PREFIX.length), 'base64url').toString('utf8');
+    return JSON.parse(json);
+  }
+  return JSON.parse(tokenData);
+}
+
+/**
+ * Parse raw token data into { v, delegation, signature }
+ * Throws if the payload is not a well-formed delegation token.
+ */
+export function parseDelegationToken(tokenData) {
+  const token = decodeDelegationToken(tokenData);
+
+  if (!token || typeof token !== 'object') {
+    throw new Error('Token must be an object');
+  }
+
+  const { delegation, signature } = token;
+  const version = token.v || 0;
+
+  if (version > DELEGATION_TOKEN_VERSION) {
+    throw new Error(`Unsupported token version ${version}`);
+  }
+  if (!delegation || typeof delegation !== 'object') {
+    throw new Error('Missing delegation');
+  }
+  if (typeof delegation.subject !== 'string' || !isAddress(delegation.subject)) {
+    throw new Error('Delegation subject must be an Ethereum address');
+  }
+  if (typeof delegation.audience !== 'string' || !delegation.audience) {
+    throw new Error('Delegation audience is required');
+  }
+  if (!Number.isSafeInteger(delegation.expires)) {
+    throw new Error('Delegation expires must be a timestamp');
+  }
+  if (delegation.scope !== undefined && !(Array.isArray(delegation.scope) && delegation.scope.every(s => typeof s === 'string'))) {
+    throw new Error('Delegation scope must be an array of strings');
+  }
+  // Revocations and replay checks key on these, legacy tokens included
+  if (typeof delegation.nonce !== 'string' || !delegation.nonce) {
+    throw new Error('Delegation nonce is required');
+  }
+  if (!Number.isSafeInteger(delegation.createdAt)) {
+    throw new Error('Delegation createdAt must be a timestamp');
+  }
+  if (version >= 1) {
+    if (typeof delegation.issuer !== 'string') {
+      throw new Error('Delegation issuer is required');
+    }
+    if (!Array.isArray(delegation.scope)) {
+      throw new Error('Delegation scope is required');
+    }
+  }
+  if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+    throw new Error('Signature must be a 65-byte hex string');
+  }
+
+  return { ...token, v: version, delegation, signature };
+}
+
+/**
+ * Deterministic JSON encoding of a delegation (keys sorted recursively)
+ * This is the message the rivet signs with personal_sign for legacy tokens.
+ */
+export function canonicalizeDelegation(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalizeDelegation).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(key =>
+      JSON.stringify(key) + ':' + canonicalizeDelegation(value[key])
+    ).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Recover the address that signed a delegation
+ * v1 tokens are EIP-712 typed data, legacy tokens EIP-191 personal_sign.
+ */
+export function recoverDelegationSigner(delegation, signature, version = DELEGATION_TOKEN_VERSION) {
+  if (version >= 1) {
+    return verifyTypedData(DELEGATION_DOMAIN, DELEGATION_TYPES, pickTypedFields(delegation), signature);
+  }
+  return verifyMessage(canonicalizeDelegation(delegation), signature);
+}
+
+function checkSignature(token) {
+  const { delegation, signature, v } = token;
+
+  let signer;
+  try {
+    signer = recoverDelegationSigner(delegation, signature, v);
+  } catch (error) {
+    return failure(DelegationErrors.SIGNATURE_INVALID, `Invalid signature: ${error.shortMessage || error.message}`);
+  }
+
+  if (signer !== getAddress(delegation.subject)) {
+    return failure(DelegationErrors.SIGNER_MISMATCH, 'Token was not signed by the delegation subject');
+  }
+
+  return null;
+}
+
+/**
+ * Verify a delegation token
+ *
+ * @param {string|Object} tokenData - Raw token from header or cookie
+ * @param {Object} options
+ * @param {string|Function} options.audience - Domain the token must be issued for, or domain => boolean
+ * @param {string} [options.issuer] - Epistery host the token must come from
+ * @param {RevocationStore} [options.revocations] - Issued nonces and revocations to check against
+ * @param {DelegationRegistry} [options.delegations] - Merkle registry to check the proof against
+ * @returns {Promise<Object>} { valid, rivetAddress, domain, scope } or { valid: false, code, error }
+ */
+export async function verifyDelegation(tokenData, { audience, issuer = null, revocations = null, delegations = null, now = Date.now() } = {}) {
+  if (!tokenData) {
+    return failure(DelegationErrors.TOKEN_MISSING, 'No delegation token provided');
+  }
+
+  let token;
+  try {
+    token = parseDelegationToken(tokenData);
+  } catch (error) {
+    return failure(DelegationErrors.TOKEN_MALFORMED, `Malformed delegation token: ${error.message}`);
+  }
+
+  const { delegation } = token;
+
+  // 1. Check expiration
+  if (now > delegation.expires) {
+    return failure(DelegationErrors.TOKEN_EXPIRED, 'Token expired');
+  }
+
+  // 2. Revocations are only kept for MAX_DURATION_DAYS, so no token may last longer
+  if (delegation.createdAt > now + CLOCK_SKEW_MS) {
+    return failure(DelegationErrors.TOKEN_EXPIRED, 'Token is not yet valid');
+  }
+  if (delegation.expires - delegation.createdAt > MAX_DURATION_DAYS * DAY_MS) {
+    return failure(DelegationErrors.DURATION_EXCEEDED, `Token may not last longer than ${MAX_DURATION_DAYS} days`);
+  }
+
+  // 3. Verify domain matches request origin
+  const audienceMatches = typeof audience === 'function' ? audience(delegation.audience) : delegation.audience === audience;
+  if (!audienceMatches) {
+    return failure(DelegationErrors.AUDIENCE_MISMATCH, 'Token audience mismatch');
+  }
+
+  if (issuer && delegation.issuer !== issuer) {
+    return failure(DelegationErrors.ISSUER_MISMATCH, 'Token was not issued by this epistery host');
+  }
+
+  // 4. Verify signature was made by the delegating rivet
+  const signatureFailure = checkSignature(token);
+  if (signatureFailure) {
+    return signatureFailure;
+  }
+
+  // 5. Check the delegation was issued through POST /delegate, as signed, and not revoked since
+  if (revocations && !matchesIssued(delegation, revocations.getIssued(delegation.nonce))) {
+    return failure(DelegationErrors.TOKEN_NOT_ISSUED, 'Token was not issued by this agent');
+  }
+  const revoked = revocations?.isRevoked(delegation);
+  if (revoked) {
+    return failure(DelegationErrors.TOKEN_REVOKED, revoked);
+  }
+
+  // 6. Verify domain is in delegated Merkle tree (anchored root)
+  if (delegations) {
+    if (!token.merkleProof) {
+      return failure(DelegationErrors.MERKLE_PROOF_MISSING, 'Token has no Merkle proof');
+    }
+    if (!await delegations.verify(delegation.subject, delegation.audience, token.merkleProof)) {
+      return failure(DelegationErrors.MERKLE_PROOF_INVALID, 'Merkle proof does not match a known delegation root');
+    }
+  }
+
+  // 7. Note the use, shown to the subject in GET /delegations/mine
+  revocations?.recordUse?.(delegation.nonce, now);
+
+  return {
+    valid: true,
+    rivetAddress: delegation.subject,
+    domain: delegation.audience,
+    scope: delegation.scope,
+    delegation,
+    token
+  };
+}
+
+function matchesIssued(delegation, issued) {
+  return Boolean(issued) &&
+    issued.subject.toLowerCase() === delegation.subject.toLowerCase() &&
+    issued.audience === delegation.audience &&
+    issued.createdAt === delegation.createdAt &&
+    issued.expires === delegation.expires &&
+    canonicalizeDelegation(issued.scope) === canonicalizeDelegation(delegation.scope);
+}
+
+/**
+ * Validate a rivet-signed delegation submitted to POST /delegate
+ * before it is encoded (encodeDelegationToken) and handed out as a token.
+ *
+ * @param {Object} delegation - Typed delegation the rivet signed
+ * @param {string} signature - EIP-712 signature
+ * @param {Object} options
+ * @param {string} options.issuer - Hostname of this epistery host
+ * @returns {Object} { valid, delegation, signature } or { valid: false, code, error }
+ */
+export function validateSignedDelegation(delegation, signature, { issuer, maxDurationDays = MAX_DURATION_DAYS, now = Date.now() } = {}) {
+  let token;
+  try {
+    token = parseDelegationToken({
+      v: DELEGATION_TOKEN_VERSION,
+      delegation: delegation && typeof delegation === 'object' ? pickTypedFields(delegation) : delegation,
+      signature
+    });
+  } catch (error) {
+    return failure(DelegationErrors.TOKEN_MALFORMED, `Malformed delegation: ${error.message}`);
+  }
+
+  const { delegation: signed } = token;
+
+  if (signed.issuer !== issuer) {
+    return failure(DelegationErrors.ISSUER_MISMATCH, 'Delegation issuer must be this epistery host');
+  }
+  if (signed.createdAt > now + CLOCK_SKEW_MS || signed.expires <= now) {
+    return failure(DelegationErrors.TOKEN_EXPIRED, 'Delegation is not currently valid');
+  }
+  if (signed.expires - signed.createdAt > maxDurationDays * DAY_MS) {
+    return failure(DelegationErrors.DURATION_EXCEEDED, `Delegation may not exceed ${maxDurationDays} days`);
+  }
+
+  const signatureFailure = checkSignature(token);
+  if (signatureFailure) {
+    return signatureFailure;
+  }
+
+  return {
+    valid: true,
+    delegation: signed,
+    signature
+  };
+}
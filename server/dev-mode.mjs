@@ -0,0 +1,64 @@
+/**
+ * Development mode policy
+ *
+ * Off unless set explicitly in the agent config. Never inferred from the
+ * request hostname, which a reverse proxy can rewrite.
+ *
+ *   "devMode": "allow-all"
+ *   "devMode": { "mode": "fixtures", "allow": ["0x..."], "deny": ["0x..."] }
+ *   "devMode": { "mode": "backend" }
+ *
+ * allow-all  every verified address is allowed
+ * fixtures   addresses in `allow` are allowed, everything else is denied
+ *            (`deny` wins when an address is in both)
+ * backend    the configured storage provider decides, as in production
+ */
+export const DevModes = {
+  OFF: 'off',
+  ALLOW_ALL: 'allow-all',
+  FIXTURES: 'fixtures',
+  BACKEND: 'backend'
+};
+
+/**
+ * Normalize the `devMode` config value into a policy
+ */
+export function createDevModePolicy(config) {
+  if (!config) {
+    return { mode: DevModes.OFF, allow: new Set(), deny: new Set() };
+  }
+
+  const { mode, allow = [], deny = [] } = typeof config === 'string' ? { mode: config } : config;
+
+  if (!Object.values(DevModes).includes(mode)) {
+    throw new Error(`Unknown white-list devMode: ${mode}`);
+  }
+
+  return {
+    mode,
+    allow: new Set(allow.map(a => a.toLowerCase())),
+    deny: new Set(deny.map(a => a.toLowerCase()))
+  };
+}
+
+/**
+ * Decide access for an address under a dev mode policy
+ * @returns {Object|null} { allowed, decidedBy }, or null when the backend decides
+ */
+export function getDevModeDecision(policy, address) {
+  switch (policy.mode) {
+    case DevModes.ALLOW_ALL:
+      return { allowed: true, decidedBy: 'dev:allow-all' };
+
+    case DevModes.FIXTURES: {
+      const key = address.toLowerCase();
+      return {
+        allowed: !policy.deny.has(key) && policy.allow.has(key),
+        decidedBy: 'dev:fixtures'
+      };
+    }
+
+    default:
+      return null;
+  }
+}
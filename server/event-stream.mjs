@@ -0,0 +1,150 @@
+const DEFAULT_BUFFER_SIZE = 1000;
+const DEFAULT_HEARTBEAT_MS = 25000;
+const DEFAULT_RETRY_MS = 5000;
+
+export const StreamAudiences = {
+  PUBLIC: 'public',
+  ADMIN: 'admin'
+};
+
+/**
+ * Server-Sent Events stream
+ *
+ * Fans published events out to connected browsers. Public events go to
+ * every client, admin events only to clients whose canSeeAdmin() still
+ * holds when the event is sent.
+ *
+ * Event ids are `${epoch}-${seq}`, the epoch being this process's start.
+ * The last `bufferSize` events are kept, so a client reconnecting with
+ * Last-Event-ID gets what it missed. When that is no longer possible (the
+ * agent restarted or the events fell out of the buffer) it gets a `reset`
+ * event instead and should reload its data.
+ */
+export class EventStream {
+  constructor({ bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS, retryMs = DEFAULT_RETRY_MS } = {}) {
+    this.bufferSize = bufferSize;
+    this.heartbeatMs = heartbeatMs;
+    this.retryMs = retryMs;
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];         // { seq, id, event, data, audience }, oldest first
+    this.clients = new Set(); // { res, canSeeAdmin }
+    this.heartbeat = null;
+  }
+
+  get lastEventId() {
+    return `${this.epoch}-${this.seq}`;
+  }
+
+  /**
+   * Send an event to every client allowed to see it
+   */
+  publish(event, data, { audience = StreamAudiences.PUBLIC } = {}) {
+    this.seq++;
+    const entry = { seq: this.seq, id: this.lastEventId, event, data, audience };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    for (const client of this.clients) {
+      this.send(client, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Turn a response into a stream and keep it until the browser leaves
+   *
+   * @param {express.Request} req
+   * @param {express.Response} res
+   * @param {Object} options
+   * @param {Function} [options.canSeeAdmin] - Whether the client may get admin events now
+   * @param {string} [options.lastEventId] - Where a reconnecting client left off
+   */
+  connect(req, res, { canSeeAdmin = () => false, lastEventId = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep nginx from holding events back
+    });
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = { res, canSeeAdmin };
+
+    if (lastEventId) {
+      const missed = this.since(lastEventId);
+      if (missed) {
+        missed.forEach(entry => this.send(client, entry));
+      } else {
+        this.write(res, { id: this.lastEventId, event: 'reset', data: { reason: 'Events were missed - reload' } });
+      }
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Buffered events after `lastEventId`
+   * @returns {Array|null} null if some of them are no longer buffered
+   */
+  since(lastEventId) {
+    const [epoch, seqText] = String(lastEventId).split('-');
+    const seq = Number(seqText);
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (epoch !== this.epoch || !Number.isInteger(seq) || seq > this.seq || seq < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter(entry => entry.seq > seq);
+  }
+
+  send(client, entry) {
+    if (entry.audience === StreamAudiences.ADMIN && !client.canSeeAdmin()) {
+      return;
+    }
+    this.write(client.res, entry);
+  }
+
+  write(res, { id, event, data }) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat || !(this.heartbeatMs > 0)) {
+      return;
+    }
+    // Comment lines keep proxies from closing idle streams
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref?.();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close every stream
+   */
+  stop() {
+    this.stopHeartbeat();
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+}
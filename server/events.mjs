@@ -0,0 +1,19 @@
+/**
+ * Agent events
+ *
+ * WhiteListAgent is an EventEmitter. Listeners get one object per event:
+ *   member.added       { address, list, validFrom?, expiresAt?, by, source, at }
+ *   member.removed     { address, list, by, source, at }
+ *   delegation.created { subject, audience, scope, nonce, expires, at }
+ *   access.denied      { address, domain, list, decidedBy, membership?, at }
+ *
+ * `source` is how the change was made: 'api' (/add, /remove), 'request'
+ * (an approved access request), 'import' or 'sweep' (lapsed members removed).
+ * Configured webhooks receive the same events.
+ */
+export const AgentEvents = {
+  MEMBER_ADDED: 'member.added',
+  MEMBER_REMOVED: 'member.removed',
+  DELEGATION_CREATED: 'delegation.created',
+  ACCESS_DENIED: 'access.denied'
+};
@@ -0,0 +1,202 @@
+import { isValidAddress, parseMembershipTerms } from './membership.mjs';
+
+/**
+ * Bulk import / export of list members
+ *
+ * Export writes member records (address plus any metadata) as JSON or CSV.
+ * Import validates every row, then plans the exact add / update / remove
+ * diff against the current list so it can be previewed (dryRun) before
+ * anything is written.
+ */
+
+export const ImportModes = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+const DATE_FIELDS = ['validFrom', 'expiresAt', 'addedAt', 'lapsedAt'];
+const TERM_FIELDS = ['validFrom', 'expiresAt'];
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Member records as CSV, address first, then every metadata field seen
+ * Timestamp fields are written as ISO dates.
+ */
+export function toCsv(records) {
+  const columns = ['address'];
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => {
+      const value = record[column];
+      return csvCell(DATE_FIELDS.includes(column) && Number.isFinite(value) ? new Date(value).toISOString() : value);
+    }).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into arrays of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalize import input into numbered rows of { address, ...fields }
+ * CSV needs a header row with an `address` column, unless it has a single
+ * column of bare addresses. JSON is an array of addresses or records.
+ *
+ * @param {string|Array} data
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array} [{ row, fields }] - row numbers are 1-based data rows
+ */
+export function readImportRows(data, format) {
+  if (format === 'csv') {
+    if (typeof data !== 'string') {
+      throw new Error('CSV import data must be a string');
+    }
+    const cells = parseCsv(data);
+    if (cells.length === 0) {
+      return [];
+    }
+
+    const header = cells[0].map(name => name.trim());
+    if (!header.includes('address')) {
+      // Headerless list of addresses
+      return cells.map((values, index) => ({ row: index + 1, fields: { address: values[0].trim() } }));
+    }
+
+    return cells.slice(1).map((values, index) => {
+      const fields = {};
+      header.forEach((name, column) => {
+        const value = (values[column] ?? '').trim();
+        if (name && value !== '') {
+          fields[name] = value;
+        }
+      });
+      return { row: index + 1, fields };
+    });
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error('JSON import data must be an array');
+  }
+  return data.map((entry, index) => ({
+    row: index + 1,
+    fields: typeof entry === 'string' ? { address: entry } : { ...entry }
+  }));
+}
+
+function sameTerms(a, b) {
+  return TERM_FIELDS.every(field => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Plan an import against the current members of a list
+ *
+ * @param {Array} rows - From readImportRows
+ * @param {Array} current - Current member records
+ * @param {string} mode - 'merge' keeps members not in the import, 'replace' removes them
+ * @returns {Object} { add, update, remove, unchanged, errors }
+ */
+export function planImport(rows, current, mode = ImportModes.MERGE) {
+  const existing = new Map(current.map(record => [record.address.toLowerCase(), record]));
+  const seen = new Set();
+  const plan = { add: [], update: [], remove: [], unchanged: 0, errors: [] };
+
+  for (const { row, fields } of rows) {
+    const { address } = fields;
+
+    if (!isValidAddress(address)) {
+      plan.errors.push({ row, address: address ?? null, error: 'Invalid Ethereum address' });
+      continue;
+    }
+
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      plan.errors.push({ row, address, error: 'Duplicate address in import' });
+      continue;
+    }
+    seen.add(key);
+
+    let terms;
+    try {
+      terms = parseMembershipTerms(fields);
+    } catch (error) {
+      plan.errors.push({ row, address, error: error.message });
+      continue;
+    }
+
+    const record = existing.get(key);
+    if (!record) {
+      plan.add.push({ address, ...terms });
+    } else if (!sameTerms(record, terms)) {
+      plan.update.push({ address: record.address, ...terms });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  if (mode === ImportModes.REPLACE) {
+    for (const [key, record] of existing) {
+      if (!seen.has(key)) {
+        plan.remove.push({ address: record.address });
+      }
+    }
+  }
+
+  return plan;
+}
@@ -1,7 +1,24 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import crypto from 'crypto';
+import {
+  verifyDelegation,
+  getTokenFromRequest,
+  createDelegation,
+  getDelegationTypedData,
+  validateSignedDelegation,
+  encodeDelegationToken,
+  DelegationErrors,
+  DEFAULT_DURATION_DAYS,
+  MAX_DURATION_DAYS
+} from './delegation.mjs';
+import { RevocationStore } from './revocation.mjs';
+import { DelegationRegistry } from './merkle.mjs';
+import { createStorage } from './storage/index.mjs';
+import { CachedStorage } from './storage/cached.mjs';
+import { checkMembership } from './membership.mjs';
+import { RoleRegistry, Permissions } from './roles.mjs';
+import { getParentDomain, isSisterDomain } from './consent.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,63 +28,64 @@ const __dirname = path.dirname(__filename);
  *
  * Provides on-chain access control with rivet delegation.
  * Integrates with epistery's whitelist functionality from Utils.
+ *
+ * @param {Object} epistery - Epistery instance
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage config or provider (defaults to epistery)
+ * @param {Object|false} [options.cache] - Membership cache options ({ ttlMs, negativeTtlMs, maxEntries }), or false to disable
+ * @param {RevocationStore} [options.revocations] - Shared revocation store
+ * @param {string} [options.revocationFile] - JSON file to persist revocations to (with delegationTreeFile)
+ * @param {DelegationRegistry} [options.delegations] - Shared delegation Merkle registry
+ * @param {Object} [options.rootAnchor] - Where Merkle roots are published (defaults to LocalRootAnchor)
+ * @param {string} [options.delegationTreeFile] - JSON file to persist delegation leaves to (with revocationFile)
+ * @param {number} [options.rootPublishIntervalMs] - Least time between two published Merkle roots
+ * @param {RoleRegistry} [options.roles] - Shared role registry
+ * @param {string[]} [options.owners] - Owner addresses, when no registry is passed
+ * @param {string} [options.rolesFile] - JSON file to persist granted roles to
  */
-export function createWhiteListAgent(epistery) {
+export function createWhiteListAgent(epistery, options = {}) {
   const router = express.Router();
+  const backend = createStorage(options.storage, () => epistery);
+  const storage = options.cache === false ? backend : new CachedStorage(backend, options.cache);
+  const revocations = options.revocations || new RevocationStore({ path: options.revocationFile || null });
+  const delegations = options.delegations || new DelegationRegistry({
+    anchor: options.rootAnchor || null,
+    path: options.delegationTreeFile || null,
+    publishIntervalMs: options.rootPublishIntervalMs
+  });
+  // A tree that outlives its revocations lets revoked tokens verify again
+  if (Boolean(delegations.path) !== Boolean(revocations.path)) {
+    throw new Error('Set both delegationTreeFile and revocationFile, or neither');
+  }
+  const roles = options.roles || new RoleRegistry({
+    owners: options.owners || [],
+    path: options.rolesFile || null
+  });
 
   /**
-   * Verify delegation token
+   * Verify delegation token, issued for this host
+   * With `sisters` (only /check) tokens issued for a sister domain are
+   * accepted too; sister sites can read those, so nothing else takes them.
    * Returns { valid: boolean, rivetAddress: string, domain: string }
+   * or { valid: false, code: string, error: string }
    */
-  async function verifyDelegationToken(req) {
-    const delegationHeader = req.headers['x-epistery-delegation'];
-    const delegationCookie = req.cookies?.epistery_delegation;
-
-    const tokenData = delegationHeader || delegationCookie;
-
-    if (!tokenData) {
-      return { valid: false, error: 'No delegation token provided' };
-    }
-
-    try {
-      const token = typeof tokenData === 'string' ? JSON.parse(tokenData) : tokenData;
-      const { delegation, signature } = token;
-
-      // 1. Check expiration
-      if (Date.now() > delegation.expires) {
-        return { valid: false, error: 'Token expired' };
-      }
-
-      // 2. Verify domain matches request origin
-      const requestDomain = req.hostname || req.get('host')?.split(':')[0];
-      if (delegation.audience !== requestDomain) {
-        return { valid: false, error: 'Token audience mismatch' };
-      }
-
-      // 3. Verify signature
-      // TODO: Implement actual signature verification with rivet public key
-      // For now, we'll validate structure
-      if (!delegation.subject || !signature) {
-        return { valid: false, error: 'Invalid token structure' };
-      }
-
-      // 4. Verify domain is in delegated Merkle tree (on-chain)
-      // TODO: Call smart contract to verify Merkle proof
-      // const isValidDelegation = await verifyMerkleProof(
-      //   delegation.subject,
-      //   delegation.audience,
-      //   token.merkleProof
-      // );
+  async function verifyDelegationToken(req, { sisters = false } = {}) {
+    const requestDomain = req.hostname || req.get('host')?.split(':')[0];
+    const parentDomain = getParentDomain(requestDomain);
+    return verifyDelegation(getTokenFromRequest(req), {
+      audience: !sisters ? requestDomain : domain => domain === requestDomain || isSisterDomain(domain, { parentDomain }),
+      issuer: requestDomain,
+      revocations,
+      delegations
+    });
+  }
 
-      return {
-        valid: true,
-        rivetAddress: delegation.subject,
-        domain: delegation.audience,
-        scope: delegation.scope
-      };
-    } catch (error) {
-      return { valid: false, error: `Token verification failed: ${error.message}` };
-    }
+  /**
+   * Token scope and the subject's current role must both grant a permission
+   */
+  function authorize(verification, permission) {
+    return Boolean(verification.scope?.includes(permission)) &&
+      roles.hasPermission(verification.rivetAddress, permission);
   }
 
   /**
@@ -77,22 +95,25 @@ export function createWhiteListAgent(epistery) {
   router.get('/check', async (req, res) => {
     try {
       // Verify delegation token
-      const verification = await verifyDelegationToken(req);
+      const verification = await verifyDelegationToken(req, { sisters: true });
 
       if (!verification.valid) {
         return res.status(401).json({
           allowed: false,
-          error: verification.error
+          error: verification.error,
+          code: verification.code
         });
       }
 
-      // Check if rivet is whitelisted using epistery's whitelist functionality
-      const isWhitelisted = await epistery.isWhitelisted(verification.rivetAddress);
+      // Enforces validFrom / expiresAt, as the agent does
+      const decision = await checkMembership(storage, verification.rivetAddress);
 
       res.json({
-        allowed: isWhitelisted,
+        allowed: decision.allowed,
         address: verification.rivetAddress,
-        domain: verification.domain
+        domain: verification.domain,
+        decidedBy: decision.decidedBy,
+        ...(decision.membership && { membership: decision.membership })
       });
     } catch (error) {
       console.error('[white-list] Check error:', error);
@@ -114,19 +135,19 @@ export function createWhiteListAgent(epistery) {
 
       if (!verification.valid) {
         return res.status(401).json({
-          error: verification.error
+          error: verification.error,
+          code: verification.code
         });
       }
 
-      // Check if user has admin scope
-      if (!verification.scope?.includes('whitelist:admin')) {
+      if (!authorize(verification, Permissions.READ)) {
         return res.status(403).json({
-          error: 'Insufficient permissions - requires whitelist:admin scope'
+          error: `Insufficient permissions - requires ${Permissions.READ}`
         });
       }
 
-      // Get whitelist using epistery's getWhitelist functionality
-      const whitelist = await epistery.getWhitelist();
+      // Get whitelist from the storage provider
+      const whitelist = await storage.getMembers();
 
       res.json({
         whitelist: whitelist,
@@ -141,14 +162,14 @@ export function createWhiteListAgent(epistery) {
   });
 
   /**
-   * POST /delegate
-   * Create delegation token for a domain
+   * POST /delegate/prepare
+   * Build the EIP-712 delegation the rivet is asked to sign
    *
    * This endpoint is called by epistery.mydomain.com after user approval
    */
-  router.post('/delegate', async (req, res) => {
+  router.post('/delegate/prepare', async (req, res) => {
     try {
-      const { domain, scope, durationDays = 30 } = req.body;
+      const { domain, scope, durationDays = DEFAULT_DURATION_DAYS } = req.body;
 
       if (!domain) {
         return res.status(400).json({
@@ -156,44 +177,100 @@ export function createWhiteListAgent(epistery) {
         });
       }
 
-      // Get rivet address from authenticated session
-      // TODO: Get from epistery session/auth
-      const rivetAddress = req.session?.rivetAddress || req.body.rivetAddress;
+      if (!(durationDays > 0 && durationDays <= MAX_DURATION_DAYS)) {
+        return res.status(400).json({
+          error: `durationDays must be between 1 and ${MAX_DURATION_DAYS}`
+        });
+      }
 
-      if (!rivetAddress) {
+      // Rivet signed in to this epistery host (set by the host's epistery middleware)
+      const rivetAddress = req.episteryClient?.address || req.session?.rivetAddress;
+
+      if (!rivetAddress || !/^0x[a-fA-F0-9]{40}$/.test(rivetAddress)) {
         return res.status(401).json({
-          error: 'Not authenticated - rivet address required'
+          error: 'Not authenticated - sign in to epistery with your rivet'
+        });
+      }
+
+      if (scope !== undefined && !(Array.isArray(scope) && scope.every(s => typeof s === 'string'))) {
+        return res.status(400).json({
+          error: 'scope must be an array of strings'
         });
       }
 
-      // Create delegation object
-      const delegation = {
+      const delegation = createDelegation({
         issuer: req.hostname, // epistery.mydomain.com
         subject: rivetAddress,
         audience: domain,
-        scope: scope || ['whitelist:read'],
-        expires: Date.now() + (durationDays * 24 * 60 * 60 * 1000),
-        nonce: crypto.randomUUID(),
-        createdAt: Date.now()
-      };
-
-      // TODO: Sign with rivet private key
-      // For now, create placeholder signature
-      const delegationString = JSON.stringify(delegation);
-      const signature = crypto.createHash('sha256')
-        .update(delegationString)
-        .digest('hex');
-
-      // TODO: Update Merkle tree on-chain
-      // const merkleProof = await updateDelegationTree(rivetAddress, domain);
-
-      const token = {
+        scope,
+        durationDays
+      });
+
+      // Only scopes the subject's role holds are offered for signing
+      const { held, missing } = roles.checkScopes(rivetAddress, delegation.scope);
+      delegation.scope = held;
+
+      res.json({
         delegation,
-        signature,
-        // merkleProof: merkleProof
-      };
+        typedData: getDelegationTypedData(delegation),
+        ...(missing.length > 0 && { droppedScope: missing })
+      });
+    } catch (error) {
+      console.error('[white-list] Delegation error:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /delegate
+   * Exchange a rivet-signed delegation for an encoded delegation token
+   */
+  router.post('/delegate', async (req, res) => {
+    try {
+      const { delegation, signature } = req.body;
+
+      const result = validateSignedDelegation(delegation, signature, {
+        issuer: req.hostname
+      });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          error: result.error,
+          code: result.code
+        });
+      }
+
+      // The signed scope must not exceed what the subject's role holds
+      const { missing } = roles.checkScopes(result.delegation.subject, result.delegation.scope);
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: `Subject does not hold scope: ${missing.join(', ')}`,
+          code: DelegationErrors.SCOPE_NOT_GRANTED
+        });
+      }
+
+      if (!revocations.recordIssued(result.delegation)) {
+        return res.status(409).json({
+          error: 'Delegation nonce has already been used',
+          code: DelegationErrors.NONCE_REUSED
+        });
+      }
+
+      // Add (rivet, domain) to the delegation Merkle tree; its root is anchored with the next batch
+      const { proof: merkleProof } = await delegations.add(result.delegation.subject, result.delegation.audience, {
+        scope: result.delegation.scope,
+        expires: result.delegation.expires
+      });
 
-      res.json(token);
+      res.json({
+        token: encodeDelegationToken({ delegation: result.delegation, signature, merkleProof }),
+        delegation: result.delegation,
+        signature,
+        merkleProof
+      });
     } catch (error) {
       console.error('[white-list] Delegation error:', error);
       res.status(500).json({
@@ -202,20 +279,183 @@ export function createWhiteListAgent(epistery) {
     }
   });
 
+  /**
+   * POST /delegations/:nonce/revoke
+   * Revoke a single delegation (subject or admin)
+   */
+  router.post('/delegations/:nonce/revoke', async (req, res) => {
+    try {
+      const verification = await verifyDelegationToken(req);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          error: verification.error,
+          code: verification.code
+        });
+      }
+
+      const { nonce } = req.params;
+      const issued = revocations.getIssued(nonce);
+      const isAdmin = authorize(verification, Permissions.ADMIN);
+      const isSubject = issued && issued.subject.toLowerCase() === verification.rivetAddress.toLowerCase();
+
+      if (!isAdmin && !issued) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delegation not found'
+        });
+      }
+
+      if (!isAdmin && !isSubject) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the delegation subject or an admin can revoke it'
+        });
+      }
+
+      const entry = revocations.revoke(nonce, { by: verification.rivetAddress });
+
+      res.json({
+        success: true,
+        nonce,
+        revokedAt: entry.revokedAt
+      });
+    } catch (error) {
+      console.error('[white-list] Revoke error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /delegations/subject/:address/revoke
+   * Revoke all delegations of a subject (the subject itself or admin)
+   */
+  router.post('/delegations/subject/:address/revoke', async (req, res) => {
+    try {
+      const verification = await verifyDelegationToken(req);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          error: verification.error,
+          code: verification.code
+        });
+      }
+
+      const { address } = req.params;
+
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Ethereum address'
+        });
+      }
+
+      const isAdmin = authorize(verification, Permissions.ADMIN);
+      const isSubject = address.toLowerCase() === verification.rivetAddress.toLowerCase();
+
+      if (!isAdmin && !isSubject) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the address itself or an admin can revoke its delegations'
+        });
+      }
+
+      const entry = revocations.revokeSubject(address, { by: verification.rivetAddress });
+      await delegations.removeWhere(leaf => leaf.rivet.toLowerCase() === address.toLowerCase());
+
+      res.json({
+        success: true,
+        subject: address,
+        revokedAt: entry.revokedAt
+      });
+    } catch (error) {
+      console.error('[white-list] Revoke error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /delegations/audience/:domain/revoke
+   * Revoke all delegations for an audience domain (admin only)
+   */
+  router.post('/delegations/audience/:domain/revoke', async (req, res) => {
+    try {
+      const verification = await verifyDelegationToken(req);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          error: verification.error,
+          code: verification.code
+        });
+      }
+
+      if (!authorize(verification, Permissions.ADMIN)) {
+        return res.status(403).json({
+          success: false,
+          error: `Insufficient permissions - requires ${Permissions.ADMIN}`
+        });
+      }
+
+      const { domain } = req.params;
+      const entry = revocations.revokeAudience(domain, { by: verification.rivetAddress });
+      await delegations.removeWhere(leaf => leaf.domain === domain);
+
+      res.json({
+        success: true,
+        audience: domain,
+        revokedAt: entry.revokedAt
+      });
+    } catch (error) {
+      console.error('[white-list] Revoke error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /delegations/root
+   * Current delegation Merkle root and the root held by the anchor
+   */
+  router.get('/delegations/root', async (req, res) => {
+    try {
+      res.json({
+        root: delegations.root,
+        anchoredRoot: await delegations.anchor.getRoot(),
+        anchor: delegations.anchor.name || 'custom',
+        leafCount: delegations.size
+      });
+    } catch (error) {
+      console.error('[white-list] Root error:', error);
+      res.status(500).json({
+        error: error.message
+      });
+    }
+  });
+
   /**
    * GET /status
    * Get agent status and configuration
    */
   router.get('/status', async (req, res) => {
     try {
-      const whitelist = await epistery.getWhitelist();
-
       res.json({
         agent: 'white-list',
         version: '0.1.0',
-        whitelistCount: whitelist.length,
+        whitelistCount: await storage.getMemberCount(),
         delegationSupported: true,
-        merkleTreeEnabled: false // TODO: Enable when contract is deployed
+        merkleTreeEnabled: true,
+        merkleRoot: delegations.root
       });
     } catch (error) {
       res.status(500).json({
@@ -227,5 +467,10 @@ export function createWhiteListAgent(epistery) {
   return router;
 }
 
+export { requireWhitelist } from './middleware.mjs';
+export { verifyAccessReceipt } from './receipts.mjs';
+export { verifyWebhookSignature } from './webhooks.mjs';
+export { AgentEvents } from './events.mjs';
+
 // Export for use as epistery agent
 export default createWhiteListAgent;
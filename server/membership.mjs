@@ -0,0 +1,201 @@
+import { DEFAULT_LIST } from './storage/lists.mjs';
+
+/**
+ * Time-bounded memberships
+ *
+ * Members may carry `validFrom` and `expiresAt` (ms timestamps). Outside
+ * that window the member stays on the list but is denied by /check.
+ * The sweeper periodically flags (`lapsedAt`) or removes lapsed members.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export const MembershipStatus = {
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Address check shared by /add, /remove and /import
+ */
+export function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const timestamp = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`${field} must be a timestamp or ISO date`);
+  }
+  return timestamp;
+}
+
+/**
+ * Read validFrom / expiresAt / durationDays from a request body
+ * `durationDays` counts from validFrom (or now) and sets expiresAt.
+ *
+ * @returns {Object} { validFrom?, expiresAt? }
+ * @throws {Error} When a value is invalid
+ */
+export function parseMembershipTerms({ validFrom, expiresAt, durationDays } = {}, now = Date.now()) {
+  const terms = {};
+
+  const from = parseTimestamp(validFrom, 'validFrom');
+  if (from !== undefined) {
+    terms.validFrom = from;
+  }
+
+  if (durationDays !== undefined && durationDays !== null && durationDays !== '') {
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+      throw new Error('Use either expiresAt or durationDays, not both');
+    }
+    const days = Number(durationDays);
+    if (!(days > 0)) {
+      throw new Error('durationDays must be a positive number');
+    }
+    terms.expiresAt = (from ?? now) + Math.round(days * DAY_MS);
+  } else {
+    const until = parseTimestamp(expiresAt, 'expiresAt');
+    if (until !== undefined) {
+      terms.expiresAt = until;
+    }
+  }
+
+  if (terms.validFrom !== undefined && terms.expiresAt !== undefined && terms.expiresAt <= terms.validFrom) {
+    throw new Error('expiresAt must be after validFrom');
+  }
+
+  return terms;
+}
+
+/**
+ * Where a member record stands right now
+ * @returns {Object} { status, remainingMs } - remainingMs is null for open-ended grants
+ */
+export function getMembershipStatus(record, now = Date.now()) {
+  if (record.validFrom !== undefined && now < record.validFrom) {
+    return { status: MembershipStatus.PENDING, remainingMs: record.expiresAt !== undefined ? record.expiresAt - now : null };
+  }
+  if (record.expiresAt !== undefined && now >= record.expiresAt) {
+    return { status: MembershipStatus.EXPIRED, remainingMs: 0 };
+  }
+  return {
+    status: MembershipStatus.ACTIVE,
+    remainingMs: record.expiresAt !== undefined ? record.expiresAt - now : null
+  };
+}
+
+/**
+ * Decide access from a storage provider, enforcing validFrom / expiresAt
+ * @returns {Promise<Object>} { allowed, decidedBy, membership? }
+ */
+export async function checkMembership(storage, address, list = DEFAULT_LIST) {
+  if (typeof storage.getMember !== 'function') {
+    return {
+      allowed: await storage.isMember(address, list),
+      decidedBy: 'backend'
+    };
+  }
+
+  const record = await storage.getMember(address, list);
+  if (!record) {
+    return { allowed: false, decidedBy: 'backend' };
+  }
+
+  if (record.validFrom === undefined && record.expiresAt === undefined) {
+    return { allowed: true, decidedBy: 'backend' };
+  }
+
+  const { status, remainingMs } = getMembershipStatus(record);
+  return {
+    allowed: status === MembershipStatus.ACTIVE,
+    decidedBy: 'backend',
+    membership: {
+      status,
+      validFrom: record.validFrom,
+      expiresAt: record.expiresAt,
+      remainingMs
+    }
+  };
+}
+
+/**
+ * Membership Sweeper
+ *
+ * Walks every list and handles members whose expiresAt has passed:
+ * action 'flag' stamps lapsedAt on the record, 'remove' deletes it and
+ * calls onRemove(address, list).
+ */
+export class MembershipSweeper {
+  constructor({ storage, getListNames, action = 'flag', intervalMs = DEFAULT_SWEEP_INTERVAL_MS, onRemove = null }) {
+    if (!['flag', 'remove'].includes(action)) {
+      throw new Error(`Unknown membership sweep action: ${action}`);
+    }
+    this.storage = storage;
+    this.getListNames = getListNames;
+    this.action = action;
+    this.intervalMs = intervalMs;
+    this.onRemove = onRemove;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMs > 0)) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('[white-list] Membership sweep failed:', error));
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array>} Lapsed members handled: [{ list, address }]
+   */
+  async sweep(now = Date.now()) {
+    if (typeof this.storage.getMemberRecords !== 'function') {
+      return [];
+    }
+
+    const handled = [];
+    for (const list of await this.getListNames()) {
+      let records;
+      try {
+        records = await this.storage.getMemberRecords(list);
+      } catch (e) {
+        continue; // List unavailable on this provider
+      }
+
+      for (const record of records) {
+        if (getMembershipStatus(record, now).status !== MembershipStatus.EXPIRED || record.lapsedAt) {
+          continue;
+        }
+        if (this.action === 'remove') {
+          await this.storage.removeMember(record.address, list);
+          this.onRemove?.(record.address, list);
+        } else {
+          await this.storage.updateMember(record.address, list, { lapsedAt: now });
+        }
+        handled.push({ list, address: record.address });
+      }
+    }
+
+    if (handled.length > 0) {
+      console.log(`[white-list] Membership sweep: ${this.action === 'remove' ? 'removed' : 'flagged'} ${handled.length} lapsed member(s)`);
+    }
+    return handled;
+  }
+}
@@ -0,0 +1,365 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { keccak256, concat, getAddress, AbiCoder, ZeroHash } from 'ethers';
+import { MAX_DURATION_DAYS } from './delegation.mjs';
+
+const DEFAULT_PUBLISH_INTERVAL_MS = 60 * 1000;
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_ROOT_HISTORY_SIZE = 1024;
+const MAX_LEAF_LIFETIME_MS = MAX_DURATION_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Delegation Merkle tree
+ *
+ * Keeps a Merkle tree of (rivet, domain) leaves so a delegation can be
+ * proven against a published root. Pairs are hashed in sorted order
+ * (OpenZeppelin MerkleProof compatible), so proofs carry no position bits.
+ *
+ * Roots are published to a pluggable anchor. LocalRootAnchor is an
+ * in-memory stand-in; an on-chain anchor implements the same interface:
+ *
+ *   publishRoot(root)  -> Promise
+ *   getRoot()          -> Promise<string>
+ *   isKnownRoot(root)  -> Promise<boolean>
+ */
+
+/**
+ * Leaf hash for a rivet delegating to a domain
+ * Double-hashed like OpenZeppelin's StandardMerkleTree so a leaf can never
+ * be mistaken for an inner node:
+ *   keccak256(bytes.concat(keccak256(abi.encode(address, string))))
+ */
+export function delegationLeaf(rivet, domain) {
+  const encoded = AbiCoder.defaultAbiCoder().encode(['address', 'string'], [getAddress(rivet), domain]);
+  return keccak256(keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase() ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Fold a proof into the root it implies for a leaf
+ */
+export function computeMerkleRoot(leaf, proof) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+}
+
+/**
+ * Check a proof against a root
+ */
+export function verifyMerkleProof(leaf, proof, root) {
+  return isWellFormedProof(proof) && computeMerkleRoot(leaf, proof) === root;
+}
+
+function isWellFormedProof(proof) {
+  return Array.isArray(proof) && proof.every(p => typeof p === 'string' && /^0x[a-fA-F0-9]{64}$/.test(p));
+}
+
+/**
+ * Immutable Merkle tree over a set of leaf hashes
+ */
+export class MerkleTree {
+  constructor(leaves) {
+    this.leaves = [...new Set(leaves)].sort();
+    this.layers = [this.leaves];
+
+    let layer = this.leaves;
+    while (layer.length > 1) {
+      const next = [];
+      for (let i = 0; i < layer.length; i += 2) {
+        // An odd node out is promoted unchanged
+        next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+      }
+      this.layers.push(next);
+      layer = next;
+    }
+  }
+
+  get root() {
+    const top = this.layers[this.layers.length - 1];
+    return top.length ? top[0] : ZeroHash;
+  }
+
+  /**
+   * Sibling hashes from leaf to root, or null if the leaf is not in the tree
+   */
+  getProof(leaf) {
+    let index = this.leaves.indexOf(leaf);
+    if (index === -1) {
+      return null;
+    }
+
+    const proof = [];
+    for (const layer of this.layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+}
+
+/**
+ * In-memory root anchor
+ * Remembers the last `historySize` roots so proofs issued shortly before
+ * a tree update keep verifying, as a contract with a root history would.
+ */
+export class LocalRootAnchor {
+  constructor({ historySize = 32 } = {}) {
+    this.name = 'local';
+    this.historySize = historySize;
+    this.roots = [];
+  }
+
+  async publishRoot(root) {
+    if (this.roots[this.roots.length - 1] === root) {
+      return;
+    }
+    this.roots.push(root);
+    if (this.roots.length > this.historySize) {
+      this.roots.shift();
+    }
+  }
+
+  async getRoot() {
+    return this.roots[this.roots.length - 1] || ZeroHash;
+  }
+
+  async isKnownRoot(root) {
+    return this.roots.includes(root);
+  }
+}
+
+/**
+ * Delegation Registry
+ *
+ * Tracks which domains each rivet has delegated to, and the scope it last
+ * approved for each, and rebuilds the tree on change. A leaf is pruned
+ * once the last delegation behind it has expired. Roots are published
+ * to the anchor at most once per `publishIntervalMs`; changes made in
+ * between go out with the next root.
+ *
+ * The last `rootHistorySize` roots built here are remembered (and saved
+ * with the leaves), so proofs handed out before a later change keep
+ * verifying even if their root was never published.
+ */
+export class DelegationRegistry {
+  constructor({
+    anchor = null,
+    path = null,
+    publishIntervalMs = DEFAULT_PUBLISH_INTERVAL_MS,
+    pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS,
+    rootHistorySize = DEFAULT_ROOT_HISTORY_SIZE
+  } = {}) {
+    this.anchor = anchor || new LocalRootAnchor();
+    this.path = path;
+    this.publishIntervalMs = publishIntervalMs;
+    this.rootHistorySize = rootHistorySize;
+    this.publishTimer = null;
+    this.publishedAt = 0;
+    this.entries = new Map(); // leaf -> { rivet, domain, scope, expires }
+    this.roots = [];          // roots built here, oldest first
+    this.tree = new MerkleTree([]);
+    this.load();
+
+    this.pruneTimer = null;
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+      this.pruneTimer.unref?.();
+    }
+  }
+
+  get root() {
+    return this.tree.root;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add a (rivet, domain) leaf, or update the scope approved for it
+   * The scope and expiry are kept beside the tree and not hashed into the
+   * leaf; the leaf lives until the latest delegation added for it expires.
+   * @param {string} rivet
+   * @param {string} domain
+   * @param {Object} [options]
+   * @param {string[]} [options.scope=[]] - Scope approved by this delegation
+   * @param {number} [options.expires] - When this delegation expires (ms)
+   * @returns {Promise<Object>} { leaf, root, proof }
+   */
+  async add(rivet, domain, { scope = [], expires = Date.now() + MAX_LEAF_LIFETIME_MS } = {}) {
+    const leaf = delegationLeaf(rivet, domain);
+    const existing = this.entries.get(leaf);
+    this.entries.set(leaf, {
+      rivet: getAddress(rivet),
+      domain,
+      scope: [...scope],
+      expires: Math.max(existing?.expires || 0, expires)
+    });
+    if (!existing) {
+      await this.rebuild();
+    } else {
+      this.save();
+    }
+    return { leaf, root: this.root, proof: this.tree.getProof(leaf) };
+  }
+
+  /**
+   * Remove every leaf matching a predicate
+   * @returns {Promise<number>} Number of leaves removed
+   */
+  async removeWhere(predicate) {
+    let removed = 0;
+    for (const [leaf, entry] of this.entries) {
+      if (predicate(entry)) {
+        this.entries.delete(leaf);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      await this.rebuild();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove leaves whose last delegation has expired
+   * @returns {Promise<number>} Number of leaves removed
+   */
+  async prune(now = Date.now()) {
+    return this.removeWhere(entry => entry.expires <= now);
+  }
+
+  /**
+   * Whether a (rivet, domain) delegation is in the tree
+   */
+  has(rivet, domain) {
+    return this.entries.has(delegationLeaf(rivet, domain));
+  }
+
+  /**
+   * Scope last approved for (rivet, domain), or null if not in the tree
+   */
+  getScope(rivet, domain) {
+    return this.entries.get(delegationLeaf(rivet, domain))?.scope || null;
+  }
+
+  getProof(rivet, domain) {
+    return this.tree.getProof(delegationLeaf(rivet, domain));
+  }
+
+  /**
+   * Verify a proof for (rivet, domain) still in the tree against a root
+   * built here or one the anchor knows, so roots still waiting for their
+   * batch count too
+   */
+  async verify(rivet, domain, proof) {
+    const leaf = delegationLeaf(rivet, domain);
+    if (!isWellFormedProof(proof) || !this.entries.has(leaf)) {
+      return false;
+    }
+    const root = computeMerkleRoot(leaf, proof);
+    return this.roots.includes(root) || await this.anchor.isKnownRoot(root);
+  }
+
+  async rebuild() {
+    this.tree = new MerkleTree([...this.entries.keys()]);
+    this.rememberRoot();
+    this.save();
+    await this.schedulePublish();
+  }
+
+  rememberRoot() {
+    if (this.roots[this.roots.length - 1] === this.root) {
+      return;
+    }
+    this.roots.push(this.root);
+    if (this.roots.length > this.rootHistorySize) {
+      this.roots.shift();
+    }
+  }
+
+  /**
+   * Publish the current root now, or once publishIntervalMs has passed
+   * since the last one
+   */
+  async schedulePublish() {
+    if (this.publishTimer) {
+      return;
+    }
+    const wait = this.publishedAt + this.publishIntervalMs - Date.now();
+    if (wait <= 0) {
+      return this.publish();
+    }
+    this.publishTimer = setTimeout(() => this.publish(), wait);
+    this.publishTimer.unref?.();
+  }
+
+  async publish() {
+    clearTimeout(this.publishTimer);
+    this.publishTimer = null;
+    this.publishedAt = Date.now();
+    try {
+      await this.anchor.publishRoot(this.root);
+    } catch (error) {
+      // The next change publishes again
+      console.error('[white-list] Failed to publish Merkle root:', error);
+    }
+  }
+
+  /**
+   * Stop pruning and publish a root still waiting for its batch
+   */
+  async stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+    if (this.publishTimer) {
+      await this.publish();
+    }
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) {
+      return;
+    }
+    const data = JSON.parse(readFileSync(this.path, 'utf8'));
+    // Leaves saved before expiry was tracked get the longest lifetime
+    const fallbackExpires = Date.now() + MAX_LEAF_LIFETIME_MS;
+    for (const { rivet, domain, scope, expires } of data.delegations || []) {
+      this.entries.set(delegationLeaf(rivet, domain), {
+        rivet,
+        domain,
+        scope: Array.isArray(scope) ? scope : [],
+        expires: Number.isFinite(expires) ? expires : fallbackExpires
+      });
+    }
+    if (Array.isArray(data.roots)) {
+      this.roots = data.roots.slice(-this.rootHistorySize);
+    }
+    this.tree = new MerkleTree([...this.entries.keys()]);
+    this.rememberRoot();
+    // Restore the root on the anchor; local anchors start empty
+    this.publish();
+  }
+
+  save() {
+    if (!this.path) {
+      return;
+    }
+    mkdirSync(dirname(this.path), { recursive: true });
+    // Write then rename so a crash never leaves a half-written file
+    const tmpPath = `${this.path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({
+      root: this.root,
+      roots: this.roots,
+      delegations: [...this.entries.values()]
+    }, null, 2));
+    renameSync(tmpPath, this.path);
+  }
+}
@@ -0,0 +1,129 @@
+import { verifyDelegation, getTokenFromRequest, DelegationErrors } from './delegation.mjs';
+import { checkMembership } from './membership.mjs';
+import { DEFAULT_LIST, resolveList } from './storage/lists.mjs';
+
+// Errors a fresh delegation fixes, so a browser is sent to get one
+const REDIRECTABLE_CODES = [DelegationErrors.TOKEN_MISSING, DelegationErrors.TOKEN_EXPIRED];
+
+/**
+ * Express middleware that enforces the white-list on a publisher backend
+ *
+ * The same checks /check makes: the delegation token from the
+ * `X-Epistery-Delegation` header or `epistery_delegation` cookie is
+ * verified, then the subject's membership of the list decides access.
+ * On success `req.episteryAccess` is filled in and next() is called.
+ *
+ * Token verification and the access decision come from a WhiteListAgent
+ * (`agent`) when one runs in the same process, or from the stores passed
+ * directly (`storage`, `revocations`, `delegations`, `roles`).
+ *
+ * @param {Object} [options]
+ * @param {WhiteListAgent} [options.agent] - Agent to reuse (dev mode, audiences and roles included)
+ * @param {Object} [options.storage] - Storage provider, when no agent is passed
+ * @param {RevocationStore} [options.revocations] - Revocation store, when no agent is passed
+ * @param {DelegationRegistry} [options.delegations] - Delegation Merkle registry, when no agent is passed
+ * @param {RoleRegistry} [options.roles] - Role registry backing `scope`; required with `scope` when no agent is passed
+ * @param {string} [options.issuer] - Epistery host tokens must come from, when no agent is passed
+ * @param {string|Function} [options.list] - List name, or (req, verification) => name
+ * @param {string|string[]} [options.scope] - Permission(s) the token must carry
+ * @param {boolean} [options.passive=false] - Never block; only fill in req.episteryAccess
+ * @param {string|Function} [options.redirect] - Delegation URL, or (req) => URL, for browsers without a valid token
+ * @returns {Function} Express middleware
+ */
+export function requireWhitelist(options = {}) {
+  const { agent = null, passive = false, redirect = null } = options;
+  const requiredScope = [].concat(options.scope || []);
+
+  if (!agent && !options.storage) {
+    throw new Error('requireWhitelist needs an agent or a storage provider');
+  }
+  // The token's scope is asserted by its holder; only a role can grant it
+  if (!agent && requiredScope.length > 0 && !options.roles) {
+    throw new Error('requireWhitelist needs a role registry to check scope without an agent');
+  }
+
+  // A backend only takes tokens issued for itself. The epistery host is
+  // another domain, so the agent's record of issued nonces stands in for
+  // the issuer check.
+  const verify = agent
+    ? req => agent.verifyDelegationToken(req, { issuer: null })
+    : req => verifyDelegation(getTokenFromRequest(req), {
+      audience: req.hostname,
+      issuer: options.issuer,
+      revocations: options.revocations,
+      delegations: options.delegations
+    });
+
+  const authorize = agent
+    ? (verification, permission) => agent.authorize(verification, permission)
+    : (verification, permission) => Boolean(verification.scope?.includes(permission)) &&
+      options.roles.hasPermission(verification.rivetAddress, permission);
+
+  const decide = agent
+    ? (address, list) => agent.decideAccess(address, list)
+    : (address, list) => checkMembership(options.storage, address, list);
+
+  function getList(req, verification) {
+    const list = typeof options.list === 'function' ? options.list(req, verification) : options.list;
+    return agent ? resolveList(agent.config.audiences, verification.domain, list) : list || DEFAULT_LIST;
+  }
+
+  // Passive requests carry on as anonymous ('passive') or as a known but
+  // unauthorized address ('delegated'), mirroring the client script
+  function deny(req, res, next, status, access) {
+    req.episteryAccess = { ...access, mode: passive ? (access.address ? 'delegated' : 'passive') : 'required' };
+    if (passive) {
+      return next();
+    }
+    res.status(status).json(access);
+  }
+
+  return async function whiteListMiddleware(req, res, next) {
+    try {
+      const verification = await verify(req);
+
+      if (!verification.valid) {
+        if (!passive && redirect && REDIRECTABLE_CODES.includes(verification.code) && req.accepts(['json', 'html']) === 'html') {
+          return res.redirect(typeof redirect === 'function' ? redirect(req) : redirect);
+        }
+        return deny(req, res, next, 401, {
+          allowed: false,
+          error: verification.error,
+          code: verification.code
+        });
+      }
+
+      const missing = requiredScope.filter(permission => !authorize(verification, permission));
+
+      if (missing.length > 0) {
+        return deny(req, res, next, 403, {
+          allowed: false,
+          address: verification.rivetAddress,
+          error: `Insufficient permissions - requires ${missing.join(', ')}`
+        });
+      }
+
+      const list = getList(req, verification);
+      const decision = await decide(verification.rivetAddress, list);
+      const access = {
+        allowed: decision.allowed,
+        address: verification.rivetAddress,
+        domain: verification.domain,
+        list,
+        scope: verification.scope,
+        decidedBy: decision.decidedBy,
+        ...(decision.membership && { membership: decision.membership })
+      };
+
+      if (!decision.allowed) {
+        return deny(req, res, next, 403, { ...access, error: 'Not whitelisted' });
+      }
+
+      req.episteryAccess = { ...access, mode: passive ? 'delegated' : 'required' };
+      next();
+    } catch (error) {
+      console.error('[white-list] Middleware error:', error);
+      next(error);
+    }
+  };
+}
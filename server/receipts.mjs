@@ -0,0 +1,144 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { generateKeyPairSync, createPrivateKey, createPublicKey, createHash, sign, verify } from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 5 * 60;
+const MAX_TTL_SECONDS = 60 * 60;
+const ALGORITHM = 'ES256';
+
+/**
+ * Access receipts
+ *
+ * A receipt is a short-lived ES256 JWT stating that an address was allowed
+ * on a list for an audience. Publisher backends and CDNs verify it offline
+ * against the agent's JWKS instead of calling /check on every request.
+ *
+ * Claims: iss (epistery host), sub (address), aud (audience domain),
+ * list, iat, exp. exp never outlasts the delegation or the membership.
+ */
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * RFC 7638 thumbprint of an EC public JWK, used as the key id
+ */
+function thumbprint({ crv, kty, x, y }) {
+  return createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest('base64url');
+}
+
+export class ReceiptIssuer {
+  constructor({ keyFile = null, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    if (!(ttlSeconds > 0 && ttlSeconds <= MAX_TTL_SECONDS)) {
+      throw new Error(`Receipt ttlSeconds must be between 1 and ${MAX_TTL_SECONDS}`);
+    }
+    this.ttlSeconds = ttlSeconds;
+    this.privateKey = this.loadKey(keyFile);
+
+    const jwk = createPublicKey(this.privateKey).export({ format: 'jwk' });
+    this.kid = thumbprint(jwk);
+    this.publicJwk = { ...jwk, kid: this.kid, alg: ALGORITHM, use: 'sig' };
+  }
+
+  /**
+   * Read the signing key from `keyFile`, creating it on first use
+   * Without a key file the key lives only as long as the process.
+   */
+  loadKey(keyFile) {
+    if (keyFile && existsSync(keyFile)) {
+      return createPrivateKey(readFileSync(keyFile, 'utf8'));
+    }
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    if (keyFile) {
+      writeFileSync(keyFile, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+    }
+    return privateKey;
+  }
+
+  /**
+   * Key set for /.well-known/jwks.json
+   */
+  getJwks() {
+    return { keys: [this.publicJwk] };
+  }
+
+  /**
+   * Sign a receipt
+   *
+   * @param {Object} claims - { issuer, address, audience, list }
+   * @param {Object} [bounds] - { notAfter } ms timestamps the receipt must not outlive
+   * @returns {Object} { receipt, expiresAt }
+   */
+  issue({ issuer, address, audience, list }, { notAfter = [], now = Date.now() } = {}) {
+    const iat = Math.floor(now / 1000);
+    const limits = [iat + this.ttlSeconds, ...notAfter.filter(Number.isFinite).map(ms => Math.floor(ms / 1000))];
+    const payload = { iss: issuer, sub: address, aud: audience, list, iat, exp: Math.min(...limits) };
+
+    const header = { alg: ALGORITHM, typ: 'JWT', kid: this.kid };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = sign('sha256', Buffer.from(signingInput), { key: this.privateKey, dsaEncoding: 'ieee-p1363' });
+
+    return {
+      receipt: `${signingInput}.${signature.toString('base64url')}`,
+      expiresAt: payload.exp * 1000
+    };
+  }
+}
+
+/**
+ * Verify a receipt offline against a JWKS
+ *
+ * @param {string} receipt
+ * @param {Object} options
+ * @param {Object} options.jwks - { keys: [...] } as served by /.well-known/jwks.json
+ * @param {string} [options.audience] - Expected aud (the publisher's domain)
+ * @param {string} [options.list] - Expected list
+ * @param {number} [options.now]
+ * @returns {Object} { valid: true, claims } or { valid: false, error }
+ */
+export function verifyAccessReceipt(receipt, { jwks, audience, list, now = Date.now() } = {}) {
+  const parts = typeof receipt === 'string' ? receipt.split('.') : [];
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed receipt' };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    return { valid: false, error: 'Malformed receipt' };
+  }
+
+  if (header.alg !== ALGORITHM) {
+    return { valid: false, error: `Unsupported algorithm: ${header.alg}` };
+  }
+
+  const jwk = (jwks?.keys || []).find(key => key.kid === header.kid);
+  if (!jwk) {
+    return { valid: false, error: 'Unknown signing key' };
+  }
+
+  const signatureValid = verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) {
+    return { valid: false, error: 'Invalid receipt signature' };
+  }
+
+  if (!(claims.exp * 1000 > now)) {
+    return { valid: false, error: 'Receipt expired' };
+  }
+  if (audience && claims.aud !== audience) {
+    return { valid: false, error: 'Receipt audience mismatch' };
+  }
+  if (list && claims.list !== list) {
+    return { valid: false, error: 'Receipt is for a different list' };
+  }
+
+  return { valid: true, claims };
+}
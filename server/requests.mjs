@@ -0,0 +1,212 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { isIPv6 } from 'net';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETRY_AFTER_MS = DAY_MS;
+const DEFAULT_MAX_PENDING = 1000;
+const DEFAULT_MAX_PENDING_PER_SOURCE = 20;
+const DEFAULT_MAX_PENDING_PER_ADDRESS = 5;
+const DEFAULT_RETENTION_MS = 30 * DAY_MS;
+export const MAX_REQUEST_MESSAGE_LENGTH = 500;
+
+export const RequestStatuses = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Why a new request was refused
+export const RequestErrors = {
+  DUPLICATE: 'REQUEST_PENDING',
+  TOO_SOON: 'REQUEST_TOO_SOON',
+  QUEUE_FULL: 'REQUEST_QUEUE_FULL'
+};
+
+/**
+ * Access Request Store
+ *
+ * Denied visitors ask to join a list; admins approve or reject from the
+ * queue. A visitor has at most one pending request per list, at most
+ * `maxPendingPerAddress` overall, and must wait `retryAfterMs` after a
+ * rejection before asking for that list again. Addresses cost nothing to
+ * make, so pending requests are also capped per `source` (the client IP,
+ * IPv6 grouped by /64) at `maxPendingPerSource`, and overall at
+ * `maxPending` since one IP can stand for many visitors behind a proxy.
+ *
+ * Decided requests are kept for `retentionMs` so visitors can read the
+ * outcome, then pruned. State is kept in memory, and mirrored to a JSON
+ * file when `path` is set.
+ */
+export class AccessRequestStore {
+  constructor({
+    path = null,
+    retryAfterMs = DEFAULT_RETRY_AFTER_MS,
+    maxPending = DEFAULT_MAX_PENDING,
+    maxPendingPerSource = DEFAULT_MAX_PENDING_PER_SOURCE,
+    maxPendingPerAddress = DEFAULT_MAX_PENDING_PER_ADDRESS,
+    retentionMs = DEFAULT_RETENTION_MS
+  } = {}) {
+    this.path = path;
+    this.retryAfterMs = retryAfterMs;
+    this.maxPending = maxPending;
+    this.maxPendingPerSource = maxPendingPerSource;
+    this.maxPendingPerAddress = maxPendingPerAddress;
+    this.retentionMs = Math.max(retentionMs, retryAfterMs);
+    this.requests = new Map(); // id -> { id, address, list, audience, source, message, status, createdAt, decidedAt, decidedBy, reason }
+
+    this.load();
+  }
+
+  /**
+   * Queue a request
+   * @returns {Object} { request } or { error, code, request?, retryAfterMs? }
+   */
+  create({ address, list, audience = null, source = null, message = null }, now = Date.now()) {
+    this.prune(now);
+
+    const latest = this.getLatest(address, list);
+
+    if (latest?.status === RequestStatuses.PENDING) {
+      return { error: `A request for ${list} is already pending`, code: RequestErrors.DUPLICATE, request: latest };
+    }
+
+    if (latest?.status === RequestStatuses.REJECTED && now - latest.decidedAt < this.retryAfterMs) {
+      return {
+        error: `Your request for ${list} was rejected - try again later`,
+        code: RequestErrors.TOO_SOON,
+        request: latest,
+        retryAfterMs: latest.decidedAt + this.retryAfterMs - now
+      };
+    }
+
+    const pending = this.query({ status: RequestStatuses.PENDING });
+    const network = getSourceNetwork(source);
+
+    if (pending.length >= this.maxPending ||
+        pending.filter(request => sameAddress(request.address, address)).length >= this.maxPendingPerAddress ||
+        (network && pending.filter(request => getSourceNetwork(request.source) === network).length >= this.maxPendingPerSource)) {
+      return { error: 'Too many pending access requests', code: RequestErrors.QUEUE_FULL };
+    }
+
+    const request = {
+      id: randomUUID(),
+      address,
+      list,
+      audience,
+      source,
+      message,
+      status: RequestStatuses.PENDING,
+      createdAt: now,
+      decidedAt: null,
+      decidedBy: null,
+      reason: null
+    };
+    this.requests.set(request.id, request);
+    this.save();
+    return { request };
+  }
+
+  get(id) {
+    return this.requests.get(id) || null;
+  }
+
+  /**
+   * Most recent request of an address for a list, or null
+   */
+  getLatest(address, list) {
+    let latest = null;
+    for (const request of this.requests.values()) {
+      if (sameAddress(request.address, address) && request.list === list &&
+          (!latest || request.createdAt > latest.createdAt)) {
+        latest = request;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Requests matching the filters, oldest first
+   */
+  query({ status, list } = {}) {
+    return [...this.requests.values()]
+      .filter(request => (!status || request.status === status) && (!list || request.list === list))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Close a pending request
+   * @returns {Object|null} The updated request, or null if it was not pending
+   */
+  decide(id, status, { by = null, reason = null } = {}, now = Date.now()) {
+    const request = this.requests.get(id);
+    if (!request || request.status !== RequestStatuses.PENDING) {
+      return null;
+    }
+    Object.assign(request, { status, decidedAt: now, decidedBy: by, reason });
+    this.save();
+    return request;
+  }
+
+  /**
+   * Drop decided requests older than the retention period
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [id, request] of this.requests) {
+      if (request.decidedAt && now - request.decidedAt > this.retentionMs) {
+        this.requests.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) {
+      return;
+    }
+    const data = JSON.parse(readFileSync(this.path, 'utf8'));
+    this.requests = new Map((data.requests || []).map(request => [request.id, request]));
+  }
+
+  save() {
+    if (!this.path) {
+      return;
+    }
+    writeFileSync(this.path, JSON.stringify({
+      requests: [...this.requests.values()]
+    }, null, 2));
+  }
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Network a request came from, for the per-source cap
+ * An IPv6 subscriber usually holds a whole /64, so addresses within one
+ * count as one source; IPv4-mapped addresses count as the IPv4 address.
+ */
+export function getSourceNetwork(source) {
+  if (!source) {
+    return null;
+  }
+  const ip = source.split('%')[0];
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return mapped[1];
+  }
+  if (!isIPv6(ip)) {
+    return ip;
+  }
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+}
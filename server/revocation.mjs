@@ -0,0 +1,212 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { MAX_DURATION_DAYS } from './delegation.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const USE_SAVE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Revocation Store
+ *
+ * Records issued delegation nonces (replay protection) and revocations.
+ * Revocations can target a single nonce, every delegation of a subject,
+ * or every delegation for an audience. Subject and audience revocations
+ * apply to delegations created at or before the revocation time.
+ *
+ * Entries are pruned once no token they could affect is still unexpired.
+ * State is kept in memory, and mirrored to a JSON file when `path` is set.
+ */
+export class RevocationStore {
+  constructor({ path = null, pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS } = {}) {
+    this.path = path;
+    this.issued = new Map();     // nonce -> { subject, audience, scope, createdAt, expires, lastUsedAt? }
+    this.nonces = new Map();     // nonce -> { revokedAt, by, expires }
+    this.subjects = new Map();   // lowercased address -> { revokedAt, by, expires }
+    this.audiences = new Map();  // domain -> { revokedAt, by, expires }
+    this.usesSavedAt = 0;        // Last time recordUse() wrote the file
+
+    this.load();
+
+    this.pruneTimer = null;
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+      this.pruneTimer.unref?.();
+    }
+  }
+
+  /**
+   * Record a newly issued delegation
+   * @returns {boolean} false if the nonce has been seen before (replay)
+   */
+  recordIssued(delegation) {
+    if (this.issued.has(delegation.nonce) || this.nonces.has(delegation.nonce)) {
+      return false;
+    }
+    this.issued.set(delegation.nonce, {
+      subject: delegation.subject,
+      audience: delegation.audience,
+      scope: delegation.scope,
+      createdAt: delegation.createdAt,
+      expires: delegation.expires
+    });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Look up an issued delegation by nonce
+   */
+  getIssued(nonce) {
+    return this.issued.get(nonce) || null;
+  }
+
+  /**
+   * Delegations issued to a subject that have neither expired nor been revoked
+   * @returns {Array} [{ nonce, subject, audience, scope, createdAt, expires, lastUsedAt }], newest first
+   */
+  getActive(subject, now = Date.now()) {
+    const active = [];
+    for (const [nonce, entry] of this.issued) {
+      if (entry.subject.toLowerCase() === subject.toLowerCase() && entry.expires > now && !this.isRevoked({ ...entry, nonce })) {
+        active.push({ nonce, ...entry, lastUsedAt: entry.lastUsedAt || null });
+      }
+    }
+    return active.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Note that a delegation was just used
+   * Written to disk at most every few minutes, so the stored time can lag.
+   */
+  recordUse(nonce, now = Date.now()) {
+    const entry = this.issued.get(nonce);
+    if (!entry) {
+      return;
+    }
+    entry.lastUsedAt = now;
+    if (now - this.usesSavedAt >= USE_SAVE_INTERVAL_MS) {
+      this.usesSavedAt = now;
+      this.save();
+    }
+  }
+
+  /**
+   * Revoke a single delegation
+   */
+  revoke(nonce, { by = null } = {}) {
+    const issued = this.issued.get(nonce);
+    const entry = {
+      revokedAt: Date.now(),
+      by,
+      expires: issued ? issued.expires : Date.now() + MAX_DURATION_DAYS * DAY_MS
+    };
+    this.nonces.set(nonce, entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Revoke every delegation issued to a subject so far
+   */
+  revokeSubject(subject, { by = null } = {}) {
+    const entry = this.boundedEntry(by);
+    this.subjects.set(subject.toLowerCase(), entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Revoke every delegation issued for an audience so far
+   */
+  revokeAudience(audience, { by = null } = {}) {
+    const entry = this.boundedEntry(by);
+    this.audiences.set(audience, entry);
+    this.save();
+    return entry;
+  }
+
+  boundedEntry(by) {
+    const revokedAt = Date.now();
+    return { revokedAt, by, expires: revokedAt + MAX_DURATION_DAYS * DAY_MS };
+  }
+
+  /**
+   * Check a delegation against all revocations
+   * @returns {string|null} Reason it is revoked, or null
+   */
+  isRevoked(delegation) {
+    if (delegation.nonce && this.nonces.has(delegation.nonce)) {
+      return 'Delegation revoked';
+    }
+
+    // Tokens without createdAt cannot be placed before or after a bulk revocation
+    const createdAt = Number.isFinite(delegation.createdAt) ? delegation.createdAt : 0;
+
+    const subjectEntry = this.subjects.get(delegation.subject.toLowerCase());
+    if (subjectEntry && createdAt <= subjectEntry.revokedAt) {
+      return 'All delegations for this address were revoked';
+    }
+
+    const audienceEntry = this.audiences.get(delegation.audience);
+    if (audienceEntry && createdAt <= audienceEntry.revokedAt) {
+      return 'All delegations for this domain were revoked';
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop entries that can no longer affect an unexpired token
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const map of [this.issued, this.nonces, this.subjects, this.audiences]) {
+      for (const [key, entry] of map) {
+        if (entry.expires < now) {
+          map.delete(key);
+          removed++;
+        }
+      }
+    }
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) {
+      return;
+    }
+    const data = JSON.parse(readFileSync(this.path, 'utf8'));
+    this.issued = new Map(Object.entries(data.issued || {}));
+    this.nonces = new Map(Object.entries(data.nonces || {}));
+    this.subjects = new Map(Object.entries(data.subjects || {}));
+    this.audiences = new Map(Object.entries(data.audiences || {}));
+  }
+
+  save() {
+    if (!this.path) {
+      return;
+    }
+    // Write then rename so a crash never leaves a half-written file
+    const tmpPath = `${this.path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({
+      issued: Object.fromEntries(this.issued),
+      nonces: Object.fromEntries(this.nonces),
+      subjects: Object.fromEntries(this.subjects),
+      audiences: Object.fromEntries(this.audiences)
+    }, null, 2));
+    renameSync(tmpPath, this.path);
+  }
+
+  /**
+   * Stop the background prune timer
+   */
+  stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+}
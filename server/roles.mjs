@@ -0,0 +1,175 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+/**
+ * Role registry
+ *
+ * Server-held roles decide what an address may do. A delegation token's
+ * scope only narrows those rights (a sister domain can be handed a
+ * read-only token); it never grants anything the subject does not hold.
+ *
+ *   owner   everything, and manages owners and admins
+ *   admin   everything, and manages editors and viewers
+ *   editor  read and change list members
+ *   viewer  read list members
+ *
+ * Owners and roles from the agent config are fixed; roles granted through
+ * the API are kept in memory and mirrored to a JSON file when `path` is set.
+ */
+export const Permissions = {
+  READ: 'whitelist:read',
+  WRITE: 'whitelist:write',
+  DELEGATE: 'delegation:create',
+  ADMIN: 'whitelist:admin'
+};
+
+export const Roles = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+export const ROLE_PERMISSIONS = {
+  [Roles.OWNER]: [Permissions.READ, Permissions.WRITE, Permissions.DELEGATE, Permissions.ADMIN],
+  [Roles.ADMIN]: [Permissions.READ, Permissions.WRITE, Permissions.DELEGATE, Permissions.ADMIN],
+  [Roles.EDITOR]: [Permissions.READ, Permissions.WRITE],
+  [Roles.VIEWER]: [Permissions.READ]
+};
+
+// Roles each role may grant and revoke
+const MANAGEABLE_ROLES = {
+  [Roles.OWNER]: [Roles.OWNER, Roles.ADMIN, Roles.EDITOR, Roles.VIEWER],
+  [Roles.ADMIN]: [Roles.EDITOR, Roles.VIEWER]
+};
+
+export class RoleRegistry {
+  constructor({ owners = [], roles = {}, path = null } = {}) {
+    this.path = path;
+    this.fixed = new Map();   // lowercased address -> { address, role }
+    this.granted = new Map(); // lowercased address -> { address, role, grantedAt, grantedBy }
+
+    for (const [address, role] of Object.entries(roles)) {
+      this.assertRole(role);
+      this.fixed.set(address.toLowerCase(), { address, role });
+    }
+    for (const address of owners) {
+      this.fixed.set(address.toLowerCase(), { address, role: Roles.OWNER });
+    }
+
+    this.load();
+  }
+
+  assertRole(role) {
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+  }
+
+  /**
+   * @returns {string|null} Role of an address, or null
+   */
+  getRole(address) {
+    if (!address) {
+      return null;
+    }
+    const key = address.toLowerCase();
+    return (this.fixed.get(key) || this.granted.get(key))?.role || null;
+  }
+
+  permissionsFor(address) {
+    return ROLE_PERMISSIONS[this.getRole(address)] || [];
+  }
+
+  hasPermission(address, permission) {
+    return this.permissionsFor(address).includes(permission);
+  }
+
+  /**
+   * Split requested delegation scopes into those the address holds and the rest
+   * @returns {Object} { held, missing }
+   */
+  checkScopes(address, scopes) {
+    const permissions = this.permissionsFor(address);
+    return {
+      held: scopes.filter(scope => permissions.includes(scope)),
+      missing: scopes.filter(scope => !permissions.includes(scope))
+    };
+  }
+
+  /**
+   * Whether `actor` may grant or revoke `role`
+   */
+  canManage(actor, role) {
+    return (MANAGEABLE_ROLES[this.getRole(actor)] || []).includes(role);
+  }
+
+  /**
+   * Every address with a role
+   * @returns {Array} [{ address, role, fixed, grantedAt?, grantedBy? }]
+   */
+  list() {
+    const entries = [...this.fixed.values()].map(entry => ({ ...entry, fixed: true }));
+    for (const [key, entry] of this.granted) {
+      if (!this.fixed.has(key)) {
+        entries.push({ ...entry, fixed: false });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Grant a role, replacing any role the address held
+   * @throws {Error} For an unknown role or an address whose role is fixed by config
+   */
+  grant(address, role, { by = null } = {}) {
+    this.assertRole(role);
+    if (this.fixed.has(address.toLowerCase())) {
+      throw new Error('Role is set in the agent config');
+    }
+    const entry = { address, role, grantedAt: Date.now(), grantedBy: by };
+    this.granted.set(address.toLowerCase(), entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Revoke the role of an address
+   * @returns {Object|null} The removed entry, or null if it held no granted role
+   * @throws {Error} When the role is fixed by config, or it is the last owner
+   */
+  revoke(address) {
+    const key = address.toLowerCase();
+    if (this.fixed.has(key)) {
+      throw new Error('Role is set in the agent config');
+    }
+    const entry = this.granted.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.role === Roles.OWNER && this.list().filter(e => e.role === Roles.OWNER).length === 1) {
+      throw new Error('Cannot revoke the last owner');
+    }
+    this.granted.delete(key);
+    this.save();
+    return entry;
+  }
+
+  load() {
+    if (!this.path || !existsSync(this.path)) {
+      return;
+    }
+    const data = JSON.parse(readFileSync(this.path, 'utf8'));
+    for (const entry of data.roles || []) {
+      if (ROLE_PERMISSIONS[entry.role]) {
+        this.granted.set(entry.address.toLowerCase(), entry);
+      }
+    }
+  }
+
+  save() {
+    if (!this.path) {
+      return;
+    }
+    writeFileSync(this.path, JSON.stringify({ roles: [...this.granted.values()] }, null, 2));
+  }
+}
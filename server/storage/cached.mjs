@@ -0,0 +1,171 @@
+import { DEFAULT_LIST } from './lists.mjs';
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_NEGATIVE_TTL_MS = 10 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Caching membership storage
+ *
+ * Wraps another provider so /check does not cost a chain round trip per
+ * request. Member lookups are cached for `ttlMs`, misses ("not a member")
+ * for `negativeTtlMs`. List sizes are fetched once and then adjusted on
+ * add/remove instead of downloading the list again.
+ *
+ * Writes made through this provider invalidate the affected entry at once;
+ * changes made elsewhere (directly on chain) show up when entries expire.
+ */
+export class CachedStorage {
+  constructor(inner, { ttlMs = DEFAULT_TTL_MS, negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.maxEntries = maxEntries;
+    this.members = new Map();  // `${list}\n${lowercased address}` -> { record, expiresAt }
+    this.counts = new Map();   // list -> { count, expiresAt }
+    this.pending = new Map();  // key -> Promise, so concurrent misses share one lookup
+    this.generation = 0;       // Bumped by writes; lookups started before a write are not cached
+    this.stats = { hits: 0, negativeHits: 0, misses: 0, invalidations: 0 };
+  }
+
+  key(address, list) {
+    return `${list}\n${address.toLowerCase()}`;
+  }
+
+  async getLists() {
+    return this.inner.getLists();
+  }
+
+  async isMember(address, list = DEFAULT_LIST) {
+    return (await this.getMember(address, list)) !== null;
+  }
+
+  async getMember(address, list = DEFAULT_LIST) {
+    const key = this.key(address, list);
+    const cached = this.members.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      if (cached.record) {
+        this.stats.hits++;
+      } else {
+        this.stats.negativeHits++;
+      }
+      return cached.record;
+    }
+
+    this.stats.misses++;
+    if (!this.pending.has(key)) {
+      const lookup = this.lookup(address, list, key).finally(() => {
+        if (this.pending.get(key) === lookup) {
+          this.pending.delete(key);
+        }
+      });
+      this.pending.set(key, lookup);
+    }
+    return this.pending.get(key);
+  }
+
+  async lookup(address, list, key) {
+    const generation = this.generation;
+    const record = typeof this.inner.getMember === 'function'
+      ? await this.inner.getMember(address, list)
+      : (await this.inner.isMember(address, list) ? { address } : null);
+
+    if (generation !== this.generation) {
+      return record;
+    }
+
+    this.members.delete(key);
+    if (this.members.size >= this.maxEntries) {
+      // Oldest entry first, by insertion order
+      this.members.delete(this.members.keys().next().value);
+    }
+    this.members.set(key, {
+      record,
+      expiresAt: Date.now() + (record ? this.ttlMs : this.negativeTtlMs)
+    });
+    return record;
+  }
+
+  async getMembers(list = DEFAULT_LIST) {
+    const members = await this.inner.getMembers(list);
+    this.setCount(list, members.length);
+    return members;
+  }
+
+  async getMemberRecords(list = DEFAULT_LIST) {
+    const records = typeof this.inner.getMemberRecords === 'function'
+      ? await this.inner.getMemberRecords(list)
+      : (await this.inner.getMembers(list)).map(address => ({ address }));
+    this.setCount(list, records.length);
+    return records;
+  }
+
+  /**
+   * Number of members of a list, without re-downloading it while cached
+   */
+  async getMemberCount(list = DEFAULT_LIST) {
+    const cached = this.counts.get(list);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.count;
+    }
+    return (await this.getMembers(list)).length;
+  }
+
+  setCount(list, count) {
+    this.counts.set(list, { count, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  adjustCount(list, delta) {
+    const cached = this.counts.get(list);
+    if (cached) {
+      cached.count = Math.max(0, cached.count + delta);
+    }
+  }
+
+  invalidate(address, list) {
+    this.generation++;
+    this.pending.delete(this.key(address, list));
+    if (this.members.delete(this.key(address, list))) {
+      this.stats.invalidations++;
+    }
+  }
+
+  async addMember(address, list = DEFAULT_LIST, meta = {}) {
+    const existed = await this.isMember(address, list);
+    await this.inner.addMember(address, list, meta);
+    this.invalidate(address, list);
+    if (!existed) {
+      this.adjustCount(list, 1);
+    }
+  }
+
+  async updateMember(address, list = DEFAULT_LIST, meta = {}) {
+    await this.inner.updateMember(address, list, meta);
+    this.invalidate(address, list);
+  }
+
+  async removeMember(address, list = DEFAULT_LIST) {
+    const existed = await this.isMember(address, list);
+    await this.inner.removeMember(address, list);
+    this.invalidate(address, list);
+    if (existed) {
+      this.adjustCount(list, -1);
+    }
+  }
+
+  /**
+   * Hit/miss counters for /status
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.negativeHits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups ? Math.round(((this.stats.hits + this.stats.negativeHits) / lookups) * 1000) / 1000 : null,
+      entries: this.members.size,
+      ttlMs: this.ttlMs,
+      negativeTtlMs: this.negativeTtlMs
+    };
+  }
+}
@@ -0,0 +1,98 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { DEFAULT_LIST } from './lists.mjs';
+
+/**
+ * Epistery on-chain membership storage
+ *
+ * The default list maps onto the epistery whitelist functions. Named lists
+ * need an epistery build with list support (getList/isListed/addToList/
+ * removeFromList); otherwise they fail with a clear error.
+ *
+ * Only membership lives on-chain. Member metadata (validFrom, expiresAt, ...)
+ * is kept by the agent, in memory or in the JSON file at `metadataPath`.
+ *
+ * The instance is resolved lazily because AgentManager only exposes it
+ * through app.locals once requests start arriving.
+ */
+export class EpisteryStorage {
+  constructor(getEpistery, { lists = [], metadataPath = null } = {}) {
+    this.name = 'epistery';
+    this.getEpistery = getEpistery;
+    this.knownLists = [DEFAULT_LIST, ...lists.filter(list => list !== DEFAULT_LIST)];
+    this.metadataPath = metadataPath;
+    this.metadata = {}; // list name -> { lowercased address -> meta }
+
+    if (metadataPath && existsSync(metadataPath)) {
+      this.metadata = JSON.parse(readFileSync(metadataPath, 'utf8'));
+    }
+  }
+
+  epistery(list = DEFAULT_LIST) {
+    const epistery = this.getEpistery();
+    if (!epistery) {
+      throw new Error('Epistery not initialized');
+    }
+    if (list !== DEFAULT_LIST && typeof epistery.getList !== 'function') {
+      throw new Error(`Named list "${list}" is not supported by this epistery instance`);
+    }
+    return epistery;
+  }
+
+  metaFor(address, list) {
+    return this.metadata[list]?.[address.toLowerCase()] || {};
+  }
+
+  setMeta(address, list, meta) {
+    this.metadata[list] = this.metadata[list] || {};
+    if (meta) {
+      this.metadata[list][address.toLowerCase()] = meta;
+    } else {
+      delete this.metadata[list][address.toLowerCase()];
+    }
+    if (this.metadataPath) {
+      writeFileSync(this.metadataPath, JSON.stringify(this.metadata, null, 2));
+    }
+  }
+
+  async getLists() {
+    return this.knownLists;
+  }
+
+  async isMember(address, list = DEFAULT_LIST) {
+    const epistery = this.epistery(list);
+    return list === DEFAULT_LIST ? epistery.isWhitelisted(address) : epistery.isListed(list, address);
+  }
+
+  async getMember(address, list = DEFAULT_LIST) {
+    if (!await this.isMember(address, list)) {
+      return null;
+    }
+    return { ...this.metaFor(address, list), address };
+  }
+
+  async getMembers(list = DEFAULT_LIST) {
+    const epistery = this.epistery(list);
+    return list === DEFAULT_LIST ? epistery.getWhitelist() : epistery.getList(list);
+  }
+
+  async getMemberRecords(list = DEFAULT_LIST) {
+    const addresses = await this.getMembers(list);
+    return addresses.map(address => ({ ...this.metaFor(address, list), address }));
+  }
+
+  async addMember(address, list = DEFAULT_LIST, meta = {}) {
+    const epistery = this.epistery(list);
+    await (list === DEFAULT_LIST ? epistery.addToWhitelist(address) : epistery.addToList(list, address));
+    this.setMeta(address, list, Object.keys(meta).length ? meta : null);
+  }
+
+  async updateMember(address, list = DEFAULT_LIST, meta = {}) {
+    this.setMeta(address, list, { ...this.metaFor(address, list), ...meta });
+  }
+
+  async removeMember(address, list = DEFAULT_LIST) {
+    const epistery = this.epistery(list);
+    await (list === DEFAULT_LIST ? epistery.removeFromWhitelist(address) : epistery.removeFromList(list, address));
+    this.setMeta(address, list, null);
+  }
+}
@@ -0,0 +1,52 @@
+import { MemoryStorage } from './memory.mjs';
+import { JsonFileStorage } from './json-file.mjs';
+import { EpisteryStorage } from './epistery.mjs';
+import { CachedStorage } from './cached.mjs';
+
+export { MemoryStorage, JsonFileStorage, EpisteryStorage, CachedStorage };
+export { DEFAULT_LIST, isValidListName, resolveList } from './lists.mjs';
+
+/**
+ * Membership storage providers
+ *
+ * Every provider implements (`list` defaults to DEFAULT_LIST):
+ *   getLists()                         -> Promise<string[]>
+ *   isMember(address, list)            -> Promise<boolean>
+ *   getMember(address, list)           -> Promise<Object|null>  { address, ...meta }
+ *   getMembers(list)                   -> Promise<string[]>
+ *   getMemberRecords(list)             -> Promise<Object[]>
+ *   addMember(address, list, meta)     -> Promise
+ *   updateMember(address, list, meta)  -> Promise  (metadata only)
+ *   removeMember(address, list)        -> Promise
+ *
+ * Member metadata holds validFrom / expiresAt (ms timestamps) and other
+ * bookkeeping; providers store it but never interpret it.
+ *
+ * @param {Object} [config] - Agent `storage` config, or a provider instance
+ * @param {string} [config.type] - 'epistery' (default), 'memory' or 'json'
+ * @param {string} [config.path] - File for 'json' storage
+ * @param {string[]} [config.members] - Initial default-list members for 'memory' storage
+ * @param {Object} [config.lists] - Named lists (name -> initial addresses for 'memory' storage)
+ * @param {string} [config.metadataPath] - File for member metadata with 'epistery' storage
+ * @param {Function} getEpistery - Returns the epistery instance, if any
+ */
+export function createStorage(config = {}, getEpistery = () => null) {
+  // Already a provider instance (programmatic use)
+  if (typeof config.isMember === 'function') {
+    return config;
+  }
+
+  switch (config.type || 'epistery') {
+    case 'epistery':
+      return new EpisteryStorage(getEpistery, {
+        lists: Object.keys(config.lists || {}),
+        metadataPath: config.metadataPath || null
+      });
+    case 'memory':
+      return new MemoryStorage({ members: config.members, lists: config.lists });
+    case 'json':
+      return new JsonFileStorage({ path: config.path });
+    default:
+      throw new Error(`Unknown white-list storage type: ${config.type}`);
+  }
+}
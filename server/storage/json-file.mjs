@@ -0,0 +1,49 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { MemoryStorage } from './memory.mjs';
+import { DEFAULT_LIST } from './lists.mjs';
+
+/**
+ * JSON file membership storage
+ *
+ * Keeps members in memory and rewrites the file after every change.
+ * File format: { "lists": { "default": [{ "address": "0x...", ... }], "<name>": [...] } }
+ * Plain address strings and a legacy { "members": [...] } file are also read.
+ */
+export class JsonFileStorage extends MemoryStorage {
+  constructor({ path }) {
+    if (!path) {
+      throw new Error('JSON file storage requires a path');
+    }
+    const data = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : {};
+    super({ members: data.members || [], lists: data.lists || {} });
+    this.name = 'json';
+    this.path = path;
+  }
+
+  async addMember(address, list = DEFAULT_LIST, meta = {}) {
+    await super.addMember(address, list, meta);
+    this.save();
+  }
+
+  async updateMember(address, list = DEFAULT_LIST, meta = {}) {
+    await super.updateMember(address, list, meta);
+    this.save();
+  }
+
+  async removeMember(address, list = DEFAULT_LIST) {
+    await super.removeMember(address, list);
+    this.save();
+  }
+
+  save() {
+    const lists = {};
+    for (const [name, entries] of this.lists) {
+      lists[name] = [...entries.values()];
+    }
+
+    // Write then rename so a crash never leaves a half-written file
+    const tmpPath = `${this.path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ lists }, null, 2));
+    renameSync(tmpPath, this.path);
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Named lists
+ *
+ * One epistery host can gate several sister domains with different
+ * members. Each provider keeps any number of named lists; `default` is
+ * the list used when nothing else is specified.
+ */
+export const DEFAULT_LIST = 'default';
+
+const LIST_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/;
+
+export function isValidListName(name) {
+  return typeof name === 'string' && LIST_NAME_PATTERN.test(name);
+}
+
+/**
+ * Pick the list that decides access for a request
+ * An explicit `list` wins, then the audience mapping, then the default list.
+ *
+ * @param {Object} audiences - Map of audience domain -> list name
+ * @param {string} audience - delegation.audience
+ * @param {string} [list] - Explicitly requested list
+ */
+export function resolveList(audiences, audience, list) {
+  return list || audiences?.[audience] || DEFAULT_LIST;
+}
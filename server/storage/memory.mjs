@@ -0,0 +1,72 @@
+import { DEFAULT_LIST } from './lists.mjs';
+
+/**
+ * In-memory membership storage
+ *
+ * Addresses are matched case-insensitively and returned as first added.
+ * Each member is a record { address, ...meta } (validFrom, expiresAt, ...).
+ * Lists are created on first add. Useful for tests, local development and
+ * staging a list before it is written on-chain. Contents are lost on restart.
+ */
+export class MemoryStorage {
+  constructor({ members = [], lists = {} } = {}) {
+    this.name = 'memory';
+    this.lists = new Map(); // list name -> Map(lowercased address -> record)
+    this.seed(DEFAULT_LIST, members);
+    for (const [list, entries] of Object.entries(lists)) {
+      this.seed(list, entries);
+    }
+  }
+
+  seed(list, entries) {
+    const records = this.listFor(list, true);
+    for (const entry of entries) {
+      // Entries are plain addresses or { address, ...meta } records
+      const record = typeof entry === 'string' ? { address: entry } : { ...entry };
+      records.set(record.address.toLowerCase(), record);
+    }
+  }
+
+  listFor(list, create = false) {
+    if (!this.lists.has(list) && create) {
+      this.lists.set(list, new Map());
+    }
+    return this.lists.get(list) || new Map();
+  }
+
+  async getLists() {
+    return [...this.lists.keys()];
+  }
+
+  async isMember(address, list = DEFAULT_LIST) {
+    return this.listFor(list).has(address.toLowerCase());
+  }
+
+  async getMember(address, list = DEFAULT_LIST) {
+    return this.listFor(list).get(address.toLowerCase()) || null;
+  }
+
+  async getMembers(list = DEFAULT_LIST) {
+    return [...this.listFor(list).values()].map(record => record.address);
+  }
+
+  async getMemberRecords(list = DEFAULT_LIST) {
+    return [...this.listFor(list).values()];
+  }
+
+  async addMember(address, list = DEFAULT_LIST, meta = {}) {
+    this.listFor(list, true).set(address.toLowerCase(), { ...meta, address });
+  }
+
+  async updateMember(address, list = DEFAULT_LIST, meta = {}) {
+    const records = this.listFor(list);
+    const record = records.get(address.toLowerCase());
+    if (record) {
+      records.set(address.toLowerCase(), { ...record, ...meta, address: record.address });
+    }
+  }
+
+  async removeMember(address, list = DEFAULT_LIST) {
+    this.listFor(list).delete(address.toLowerCase());
+  }
+}
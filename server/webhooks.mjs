@@ -0,0 +1,229 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_LOG_SIZE = 200;
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+export const TEST_EVENT = 'webhook.test';
+
+export const DeliveryStatuses = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * Outgoing webhooks
+ *
+ * Agent events are POSTed as JSON { id, event, createdAt, data } to every
+ * endpoint subscribed to them. Each request carries:
+ *   X-Epistery-Event       event name
+ *   X-Epistery-Delivery    delivery id (the same for every retry)
+ *   X-Epistery-Timestamp   unix seconds of this attempt
+ *   X-Epistery-Signature   sha256=HMAC-SHA256(secret, `${timestamp}.${body}`), hex
+ *
+ * A delivery that fails (network error, timeout or non-2xx) is retried
+ * with exponential backoff up to `maxAttempts` times. The last `logSize`
+ * deliveries are kept in memory for the admin endpoint.
+ */
+
+/**
+ * Signature header value for a webhook body
+ */
+export function signWebhook(body, secret, timestamp) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook, for receivers written in Node
+ *
+ * @param {string} body - Raw request body
+ * @param {Object} headers - { signature, timestamp } from the X-Epistery-* headers
+ * @param {string} secret - The endpoint's secret
+ * @returns {boolean} true if signed with `secret` within `toleranceSeconds`
+ */
+export function verifyWebhookSignature(body, { signature, timestamp }, secret, {
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  const seconds = Number(timestamp);
+  if (typeof signature !== 'string' || !Number.isInteger(seconds) ||
+      Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhook(body, secret, seconds));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function parseEndpoint({ id, url, secret, events = ['*'] }, index) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Webhook ${index}: url must be an http(s) URL`);
+  }
+  if (typeof secret !== 'string' || !secret) {
+    throw new Error(`Webhook ${index}: secret is required`);
+  }
+  if (!(Array.isArray(events) && events.every(event => typeof event === 'string'))) {
+    throw new Error(`Webhook ${index}: events must be an array of event names`);
+  }
+  return { id: id ? String(id) : String(index), url: parsed.href, secret, events };
+}
+
+export class WebhookDispatcher {
+  constructor({
+    endpoints = [],
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    logSize = DEFAULT_LOG_SIZE,
+    fetch = globalThis.fetch
+  } = {}) {
+    this.endpoints = endpoints.map(parseEndpoint);
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = logSize;
+    this.fetch = fetch;
+    this.deliveries = []; // oldest first, at most logSize
+    this.timers = new Set();
+  }
+
+  /**
+   * Endpoints without their secrets
+   */
+  getEndpoints() {
+    return this.endpoints.map(({ id, url, events }) => ({ id, url, events }));
+  }
+
+  /**
+   * Send an event to every endpoint subscribed to it
+   * @returns {Promise<Object[]>} Deliveries, once their first attempt is done
+   */
+  dispatch(event, data) {
+    const payload = { id: randomUUID(), event, createdAt: Date.now(), data };
+    const endpoints = this.endpoints.filter(endpoint =>
+      endpoint.events.includes('*') || endpoint.events.includes(event));
+    return Promise.all(endpoints.map(endpoint => this.deliver(endpoint, payload)));
+  }
+
+  /**
+   * Send a test event to one endpoint, or all, whatever they subscribe to
+   * @returns {Promise<Object[]|null>} null if no endpoint has `endpointId`
+   */
+  test(endpointId = null, data = {}) {
+    const endpoints = this.endpoints.filter(endpoint => !endpointId || endpoint.id === endpointId);
+    if (endpointId && endpoints.length === 0) {
+      return Promise.resolve(null);
+    }
+    const payload = { id: randomUUID(), event: TEST_EVENT, createdAt: Date.now(), data };
+    return Promise.all(endpoints.map(endpoint => this.deliver(endpoint, payload)));
+  }
+
+  /**
+   * Deliveries, newest first
+   */
+  getDeliveries({ status, event, limit = this.logSize } = {}) {
+    return this.deliveries
+      .filter(delivery => (!status || delivery.status === status) && (!event || delivery.event === event))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async deliver(endpoint, payload) {
+    const delivery = {
+      id: randomUUID(),
+      endpoint: endpoint.id,
+      url: endpoint.url,
+      event: payload.event,
+      eventId: payload.id,
+      status: DeliveryStatuses.PENDING,
+      createdAt: Date.now(),
+      attempts: [],
+      nextAttemptAt: null
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.shift();
+    }
+
+    await this.attempt(endpoint, delivery, JSON.stringify(payload));
+    return delivery;
+  }
+
+  /**
+   * Make one attempt and schedule the next if it failed; never throws
+   */
+  async attempt(endpoint, delivery, body) {
+    const at = Date.now();
+    const timestamp = Math.floor(at / 1000);
+    const attempt = { at, status: null, error: null, durationMs: null };
+
+    try {
+      const response = await this.fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'epistery-white-list',
+          'X-Epistery-Event': delivery.event,
+          'X-Epistery-Delivery': delivery.id,
+          'X-Epistery-Timestamp': String(timestamp),
+          'X-Epistery-Signature': signWebhook(body, endpoint.secret, timestamp)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      attempt.status = response.status;
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+      await response.body?.cancel().catch(() => {});
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - at;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = DeliveryStatuses.DELIVERED;
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = DeliveryStatuses.FAILED;
+      delivery.nextAttemptAt = null;
+      console.error(`[white-list] Webhook ${delivery.event} to ${endpoint.url} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+      return;
+    }
+
+    const delay = Math.min(this.backoffMs * 2 ** (delivery.attempts.length - 1), MAX_BACKOFF_MS);
+    delivery.nextAttemptAt = Date.now() + delay;
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(endpoint, delivery, body);
+    }, delay);
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  /**
+   * Cancel scheduled retries
+   */
+  stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuditLog, AuditOutcomes } from '../server/audit.mjs';
+
+function fill(log) {
+  log.append({ action: 'member.add', actor: '0xA', target: '0xB', list: 'default', outcome: AuditOutcomes.SUCCESS, status: 200 });
+  log.append({ action: 'member.remove', actor: '0xA', target: '0xB', list: 'default', outcome: AuditOutcomes.SUCCESS, status: 200 });
+  log.append({ action: 'member.add', actor: '0xC', target: '0xD', list: 'blog', outcome: AuditOutcomes.DENIED, status: 403 });
+}
+
+describe('AuditLog', () => {
+  it('chains every entry to the one before', () => {
+    const log = new AuditLog();
+    assert.deepEqual(log.verify(), { valid: true, length: 0, head: log.head });
+
+    fill(log);
+    assert.equal(log.entries[1].prevHash, log.entries[0].hash);
+    assert.deepEqual(log.verify(), { valid: true, length: 3, head: log.entries[2].hash });
+  });
+
+  it('finds the first altered entry', () => {
+    const log = new AuditLog();
+    fill(log);
+    log.entries[1].target = '0xE';
+    assert.equal(log.verify().valid, false);
+    assert.equal(log.verify().brokenAt, 2);
+  });
+
+  it('notices a removed entry', () => {
+    const log = new AuditLog();
+    fill(log);
+    log.entries.splice(1, 1);
+    assert.equal(log.verify().brokenAt, 2);
+  });
+
+  it('reloads and verifies its file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    try {
+      const path = join(dir, 'audit.jsonl');
+      fill(new AuditLog({ path }));
+      assert.equal(new AuditLog({ path }).verify().valid, true);
+
+      writeFileSync(path, readFileSync(path, 'utf8').replace('"list":"blog"', '"list":"default"'));
+      assert.equal(new AuditLog({ path }).verify().brokenAt, 3);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('notices entries cut off the end of its file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    try {
+      const path = join(dir, 'audit.jsonl');
+      fill(new AuditLog({ path }));
+      const lines = readFileSync(path, 'utf8').split('\n');
+      writeFileSync(path, lines.slice(0, 2).join('\n') + '\n');
+
+      const truncated = new AuditLog({ path });
+      assert.deepEqual(truncated.verify(), { valid: false, length: 2, head: truncated.head, brokenAt: 3 });
+
+      // Appending after the cut does not hide it, now or after a restart
+      fill(truncated);
+      assert.equal(truncated.verify().valid, false);
+      assert.equal(new AuditLog({ path }).verify().brokenAt, 3);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('filters newest first', () => {
+    const log = new AuditLog();
+    fill(log);
+    const { entries, total } = log.query({ action: 'member.add' });
+    assert.equal(total, 2);
+    assert.deepEqual(entries.map(entry => entry.seq), [3, 1]);
+  });
+});
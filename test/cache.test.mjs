@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CachedStorage } from '../server/storage/cached.mjs';
+import { MemoryStorage } from '../server/storage/memory.mjs';
+
+const ALICE = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const BOB = '0x5A4003E36BC5B40c3A178f3659acdc459B965066';
+
+/**
+ * Memory storage that counts calls and answers after a tick, like a chain
+ */
+class CountingStorage extends MemoryStorage {
+  constructor(options) {
+    super(options);
+    this.calls = { getMember: 0, getMembers: 0 };
+  }
+
+  async getMember(address, list) {
+    this.calls.getMember++;
+    await new Promise(resolve => setImmediate(resolve));
+    return super.getMember(address, list);
+  }
+
+  async getMembers(list) {
+    this.calls.getMembers++;
+    return super.getMembers(list);
+  }
+}
+
+describe('CachedStorage', () => {
+  it('serves repeated lookups and misses from the cache', async () => {
+    const inner = new CountingStorage({ members: [ALICE] });
+    const cache = new CachedStorage(inner);
+
+    assert.equal(await cache.isMember(ALICE), true);
+    assert.equal(await cache.isMember(ALICE.toLowerCase()), true);
+    assert.equal(await cache.isMember(BOB), false);
+    assert.equal(await cache.isMember(BOB), false);
+    assert.equal(inner.calls.getMember, 2);
+    assert.deepEqual(
+      [cache.getStats().hits, cache.getStats().negativeHits, cache.getStats().misses],
+      [1, 1, 2]
+    );
+  });
+
+  it('shares one lookup between concurrent misses', async () => {
+    const inner = new CountingStorage({ members: [ALICE] });
+    const cache = new CachedStorage(inner);
+    await Promise.all([cache.isMember(ALICE), cache.isMember(ALICE), cache.isMember(ALICE)]);
+    assert.equal(inner.calls.getMember, 1);
+  });
+
+  it('expires misses sooner than members', async () => {
+    const inner = new CountingStorage({ members: [ALICE] });
+    const cache = new CachedStorage(inner, { negativeTtlMs: 0 });
+    await cache.isMember(BOB);
+    await inner.addMember(BOB);
+    assert.equal(await cache.isMember(BOB), true);
+  });
+
+  it('invalidates on writes made through it', async () => {
+    const cache = new CachedStorage(new CountingStorage());
+    assert.equal(await cache.isMember(ALICE), false);
+    await cache.addMember(ALICE);
+    assert.equal(await cache.isMember(ALICE), true);
+    await cache.removeMember(ALICE);
+    assert.equal(await cache.isMember(ALICE), false);
+  });
+
+  it('does not cache a lookup that raced a write', async () => {
+    const cache = new CachedStorage(new CountingStorage());
+    const stale = cache.isMember(ALICE);
+    await cache.inner.addMember(ALICE);
+    cache.invalidate(ALICE, 'default');
+    assert.equal(await stale, true);
+    // Not cached, so a change made elsewhere shows up at once
+    await cache.inner.removeMember(ALICE);
+    assert.equal(await cache.isMember(ALICE), false);
+  });
+
+  it('keeps counts without downloading the list again', async () => {
+    const inner = new CountingStorage({ members: [ALICE] });
+    const cache = new CachedStorage(inner);
+    assert.equal(await cache.getMemberCount(), 1);
+    await cache.addMember(BOB);
+    await cache.addMember(BOB);
+    assert.equal(await cache.getMemberCount(), 2);
+    await cache.removeMember(ALICE);
+    assert.equal(await cache.getMemberCount(), 1);
+    assert.equal(inner.calls.getMembers, 1);
+  });
+
+  it('evicts the oldest entry when full', async () => {
+    const cache = new CachedStorage(new CountingStorage(), { maxEntries: 1 });
+    await cache.isMember(ALICE);
+    await cache.isMember(BOB);
+    assert.equal(cache.getStats().entries, 1);
+    assert.equal(cache.members.has(cache.key(BOB, 'default')), true);
+  });
+});
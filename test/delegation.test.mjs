@@ -0,0 +1,209 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import {
+  createDelegation,
+  signDelegation,
+  encodeDelegationToken,
+  decodeDelegationToken,
+  canonicalizeDelegation,
+  recoverDelegationSigner,
+  verifyDelegation,
+  validateSignedDelegation,
+  DelegationErrors,
+  DELEGATION_TOKEN_VERSION
+} from '../server/delegation.mjs';
+import { RevocationStore } from '../server/revocation.mjs';
+
+const ISSUER = 'epistery.example.com';
+const AUDIENCE = 'blog.example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rivet = Wallet.createRandom();
+const stranger = Wallet.createRandom();
+
+async function issue(overrides = {}, signer = rivet) {
+  const delegation = {
+    ...createDelegation({ issuer: ISSUER, subject: rivet.address, audience: AUDIENCE, scope: ['whitelist:read'] }),
+    ...overrides
+  };
+  const signature = await signDelegation(delegation, signer);
+  return { delegation, signature, token: encodeDelegationToken({ delegation, signature }) };
+}
+
+describe('token encoding', () => {
+  it('round-trips a v1 token', async () => {
+    const { delegation, signature, token } = await issue();
+    assert.ok(token.startsWith(`v${DELEGATION_TOKEN_VERSION}.`));
+
+    const decoded = decodeDelegationToken(token);
+    assert.equal(decoded.v, DELEGATION_TOKEN_VERSION);
+    assert.deepEqual(decoded.delegation, delegation);
+    assert.equal(decoded.signature, signature);
+  });
+
+  it('keeps extra fields such as the Merkle proof', async () => {
+    const { delegation, signature } = await issue();
+    const token = encodeDelegationToken({ delegation, signature, merkleProof: ['0x' + '11'.repeat(32)] });
+    assert.deepEqual(decodeDelegationToken(token).merkleProof, ['0x' + '11'.repeat(32)]);
+  });
+
+  it('decodes legacy JSON strings and passes objects through', () => {
+    const token = { delegation: { subject: rivet.address }, signature: '0x' };
+    assert.deepEqual(decodeDelegationToken(JSON.stringify(token)), token);
+    assert.equal(decodeDelegationToken(token), token);
+  });
+
+  it('sorts keys when canonicalizing', () => {
+    assert.equal(canonicalizeDelegation({ b: 1, a: [{ d: 2, c: 3 }] }), '{"a":[{"c":3,"d":2}],"b":1}');
+  });
+});
+
+describe('signature recovery', () => {
+  it('recovers the rivet from an EIP-712 signature', async () => {
+    const { delegation, signature } = await issue();
+    assert.equal(recoverDelegationSigner(delegation, signature), rivet.address);
+  });
+
+  it('recovers the rivet from a legacy personal_sign signature', async () => {
+    const { delegation } = await issue();
+    const signature = await rivet.signMessage(canonicalizeDelegation(delegation));
+    assert.equal(recoverDelegationSigner(delegation, signature, 0), rivet.address);
+  });
+});
+
+describe('verifyDelegation', () => {
+  it('accepts a valid token', async () => {
+    const { token } = await issue();
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.valid, true);
+    assert.equal(result.rivetAddress, rivet.address);
+    assert.equal(result.domain, AUDIENCE);
+    assert.deepEqual(result.scope, ['whitelist:read']);
+  });
+
+  it('accepts a legacy token that carries a nonce and createdAt', async () => {
+    const { delegation } = await issue();
+    const signature = await rivet.signMessage(canonicalizeDelegation(delegation));
+    const result = await verifyDelegation(JSON.stringify({ delegation, signature }), { audience: AUDIENCE });
+    assert.equal(result.valid, true);
+  });
+
+  it('reports a missing token', async () => {
+    const result = await verifyDelegation(null, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.TOKEN_MISSING);
+  });
+
+  it('reports malformed tokens', async () => {
+    const { delegation, signature } = await issue();
+    const cases = [
+      'not json',
+      'v1.!!!',
+      encodeDelegationToken({ delegation: { ...delegation, subject: 'nobody' }, signature }),
+      encodeDelegationToken({ delegation: { ...delegation, expires: 'tomorrow' }, signature }),
+      encodeDelegationToken({ delegation, signature: '0x1234' })
+    ];
+    for (const token of cases) {
+      const result = await verifyDelegation(token, { audience: AUDIENCE });
+      assert.equal(result.valid, false);
+      assert.equal(result.code, DelegationErrors.TOKEN_MALFORMED, token);
+    }
+  });
+
+  it('rejects legacy tokens without a nonce or createdAt', async () => {
+    const { delegation } = await issue();
+    const { nonce, createdAt, ...legacy } = delegation;
+    const signature = await rivet.signMessage(canonicalizeDelegation(legacy));
+    const result = await verifyDelegation(JSON.stringify({ delegation: legacy, signature }), { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.TOKEN_MALFORMED);
+  });
+
+  it('rejects a token signed by another address', async () => {
+    const { token } = await issue({}, stranger);
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.SIGNER_MISMATCH);
+  });
+
+  it('rejects a token whose delegation was changed after signing', async () => {
+    const { delegation, signature } = await issue();
+    const token = encodeDelegationToken({ delegation: { ...delegation, scope: ['whitelist:admin'] }, signature });
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.SIGNER_MISMATCH);
+  });
+
+  it('rejects a signature that cannot be recovered', async () => {
+    const { delegation } = await issue();
+    const token = encodeDelegationToken({ delegation, signature: '0x' + '00'.repeat(65) });
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.SIGNATURE_INVALID);
+  });
+
+  it('rejects an expired token', async () => {
+    const now = Date.now();
+    const { token } = await issue();
+    const result = await verifyDelegation(token, { audience: AUDIENCE, now: now + 31 * DAY_MS });
+    assert.equal(result.code, DelegationErrors.TOKEN_EXPIRED);
+  });
+
+  it('rejects a token created in the future', async () => {
+    const createdAt = Date.now() + DAY_MS;
+    const { token } = await issue({ createdAt, expires: createdAt + DAY_MS });
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.TOKEN_EXPIRED);
+  });
+
+  it('rejects a token that lasts longer than revocations are kept', async () => {
+    const createdAt = Date.now();
+    const { token } = await issue({ createdAt, expires: createdAt + 365 * DAY_MS });
+    const result = await verifyDelegation(token, { audience: AUDIENCE });
+    assert.equal(result.code, DelegationErrors.DURATION_EXCEEDED);
+  });
+
+  it('checks the audience against a domain or a predicate', async () => {
+    const { token } = await issue();
+    assert.equal((await verifyDelegation(token, { audience: 'shop.example.com' })).code, DelegationErrors.AUDIENCE_MISMATCH);
+    assert.equal((await verifyDelegation(token, { audience: domain => domain.endsWith('.example.com') })).valid, true);
+    assert.equal((await verifyDelegation(token, { audience: () => false })).code, DelegationErrors.AUDIENCE_MISMATCH);
+  });
+
+  it('rejects a token from another issuer', async () => {
+    const { token } = await issue({ issuer: 'anything' });
+    const result = await verifyDelegation(token, { audience: AUDIENCE, issuer: ISSUER });
+    assert.equal(result.code, DelegationErrors.ISSUER_MISMATCH);
+  });
+
+  it('only accepts tokens whose nonce was issued with the same terms', async () => {
+    const revocations = new RevocationStore({ pruneIntervalMs: 0 });
+    const { delegation, token } = await issue();
+    assert.equal((await verifyDelegation(token, { audience: AUDIENCE, revocations })).code, DelegationErrors.TOKEN_NOT_ISSUED);
+
+    revocations.recordIssued(delegation);
+    assert.equal((await verifyDelegation(token, { audience: AUDIENCE, revocations })).valid, true);
+
+    // A self-signed token reusing the nonce with a wider scope
+    const { token: forged } = await issue({ nonce: delegation.nonce, scope: ['whitelist:admin'] });
+    assert.equal((await verifyDelegation(forged, { audience: AUDIENCE, revocations })).code, DelegationErrors.TOKEN_NOT_ISSUED);
+  });
+});
+
+describe('validateSignedDelegation', () => {
+  it('accepts a delegation issued by this host', async () => {
+    const { delegation, signature } = await issue();
+    const result = validateSignedDelegation(delegation, signature, { issuer: ISSUER });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.delegation, delegation);
+  });
+
+  it('rejects another issuer', async () => {
+    const { delegation, signature } = await issue();
+    const result = validateSignedDelegation(delegation, signature, { issuer: 'epistery.other.com' });
+    assert.equal(result.code, DelegationErrors.ISSUER_MISMATCH);
+  });
+
+  it('rejects a delegation longer than the maximum', async () => {
+    const createdAt = Date.now();
+    const { delegation, signature } = await issue({ createdAt, expires: createdAt + 91 * DAY_MS });
+    const result = validateSignedDelegation(delegation, signature, { issuer: ISSUER });
+    assert.equal(result.code, DelegationErrors.DURATION_EXCEEDED);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { createDevModePolicy, getDevModeDecision, DevModes } from '../server/dev-mode.mjs';
+import { startAgent } from './helpers.mjs';
+
+const ALICE = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const BOB = '0x5A4003E36BC5B40c3A178f3659acdc459B965066';
+
+describe('dev mode policy', () => {
+  it('is off unless configured', () => {
+    assert.equal(createDevModePolicy(undefined).mode, DevModes.OFF);
+    assert.equal(getDevModeDecision(createDevModePolicy(undefined), ALICE), null);
+    assert.throws(() => createDevModePolicy('localhost'), /Unknown white-list devMode/);
+  });
+
+  it('allows everyone in allow-all', () => {
+    assert.deepEqual(getDevModeDecision(createDevModePolicy('allow-all'), ALICE), { allowed: true, decidedBy: 'dev:allow-all' });
+  });
+
+  it('allows only fixtures, with deny winning', () => {
+    const policy = createDevModePolicy({ mode: 'fixtures', allow: [ALICE, BOB], deny: [BOB.toLowerCase()] });
+    assert.equal(getDevModeDecision(policy, ALICE.toLowerCase()).allowed, true);
+    assert.equal(getDevModeDecision(policy, BOB).allowed, false);
+    assert.equal(getDevModeDecision(policy, Wallet.createRandom().address).allowed, false);
+  });
+
+  it('leaves the backend in charge in backend mode', () => {
+    assert.equal(getDevModeDecision(createDevModePolicy({ mode: 'backend' }), ALICE), null);
+  });
+});
+
+describe('dev mode on /check', () => {
+  const visitor = Wallet.createRandom();
+  const agents = [];
+
+  after(() => Promise.all(agents.map(agent => agent.close())));
+
+  async function check(config) {
+    const agent = await startAgent(config);
+    agents.push(agent);
+    const token = await agent.issue(visitor);
+    return (await agent.request('/check', { headers: agent.bearer(token) })).body;
+  }
+
+  it('lets the storage provider decide by default', async () => {
+    const body = await check({});
+    assert.equal(body.allowed, false);
+    assert.equal(body.decidedBy, 'backend');
+    assert.equal(body.devMode, undefined);
+  });
+
+  it('reports the dev mode that decided', async () => {
+    const body = await check({ devMode: 'allow-all' });
+    assert.equal(body.allowed, true);
+    assert.equal(body.decidedBy, 'dev:allow-all');
+    assert.equal(body.devMode, 'allow-all');
+  });
+});
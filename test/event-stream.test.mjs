@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { EventStream, StreamAudiences } from '../server/event-stream.mjs';
+
+/**
+ * Request/response pair standing in for an SSE connection
+ */
+function connection() {
+  const req = new EventEmitter();
+  const res = {
+    text: '',
+    writeHead() {},
+    write(chunk) {
+      this.text += chunk;
+    },
+    end() {}
+  };
+  const events = () => [...res.text.matchAll(/event: (.+)\ndata: (.+)/g)].map(([, event, data]) => [event, JSON.parse(data)]);
+  return { req, res, events };
+}
+
+describe('EventStream', () => {
+  it('replays what a reconnecting client missed', () => {
+    const stream = new EventStream({ heartbeatMs: 0 });
+    stream.publish('member.added', { n: 1 });
+    const { id } = stream.publish('member.added', { n: 2 });
+    stream.publish('member.removed', { n: 3 });
+
+    const { req, res, events } = connection();
+    stream.connect(req, res, { lastEventId: id });
+    assert.deepEqual(events(), [['member.removed', { n: 3 }]]);
+  });
+
+  it('asks for a reload when events can no longer be replayed', () => {
+    const stream = new EventStream({ bufferSize: 2, heartbeatMs: 0 });
+    const { id } = stream.publish('member.added', { n: 1 });
+    stream.publish('member.added', { n: 2 });
+    stream.publish('member.added', { n: 3 });
+    stream.publish('member.added', { n: 4 });
+
+    for (const lastEventId of [id, 'otherepoch-1', `${stream.epoch}-99`]) {
+      const { req, res, events } = connection();
+      stream.connect(req, res, { lastEventId });
+      assert.equal(events()[0][0], 'reset', lastEventId);
+    }
+  });
+
+  it('checks admin access for every event', () => {
+    const stream = new EventStream({ heartbeatMs: 0 });
+    let admin = true;
+    const adminClient = connection();
+    const visitor = connection();
+    stream.connect(adminClient.req, adminClient.res, { canSeeAdmin: () => admin });
+    stream.connect(visitor.req, visitor.res);
+
+    stream.publish('member.added', { n: 1 }, { audience: StreamAudiences.ADMIN });
+    stream.publish('counts', { n: 2 });
+    admin = false;
+    stream.publish('member.added', { n: 3 }, { audience: StreamAudiences.ADMIN });
+
+    assert.deepEqual(adminClient.events().map(([, data]) => data.n), [1, 2]);
+    assert.deepEqual(visitor.events().map(([, data]) => data.n), [2]);
+  });
+
+  it('forgets clients that leave', () => {
+    const stream = new EventStream({ heartbeatMs: 0 });
+    const { req, res } = connection();
+    stream.connect(req, res);
+    req.emit('close');
+    assert.equal(stream.clients.size, 0);
+  });
+});
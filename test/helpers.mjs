@@ -0,0 +1,90 @@
+import express from 'express';
+import WhiteListAgent from '../index.mjs';
+
+export const EPISTERY_HOST = 'epistery.example.com';
+
+/**
+ * Run a WhiteListAgent on an ephemeral port
+ */
+export async function startAgent(config = {}) {
+  const agent = new WhiteListAgent({ storage: { type: 'memory' }, ...config });
+  const router = express.Router();
+  agent.attach(router);
+  return { agent, ...(await startRouter(router, () => agent.cleanup())) };
+}
+
+/**
+ * Serve a white-list router on an ephemeral port
+ *
+ * Requests are made as if to `host` (via X-Forwarded-Host). The rivet
+ * session is faked with an `X-Test-Rivet` header, standing in for
+ * epistery's own session middleware.
+ */
+export async function startRouter(router, cleanup = async () => {}) {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const address = req.get('x-test-rivet');
+    if (address) {
+      req.episteryClient = { address };
+    }
+    next();
+  });
+
+  app.use('/agent/epistery/white-list', router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/agent/epistery/white-list`;
+
+  async function request(path, { method = 'GET', body, headers = {}, host = EPISTERY_HOST } = {}) {
+    const response = await fetch(base + path, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'x-forwarded-host': host,
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      json = null;
+    }
+    return { status: response.status, body: json, headers: response.headers };
+  }
+
+  /**
+   * Have `wallet` sign a delegation for `domain` and return its token
+   */
+  async function issue(wallet, { scope = [], domain = EPISTERY_HOST } = {}) {
+    const prepared = await request('/delegate/prepare', {
+      method: 'POST',
+      body: { domain, scope },
+      headers: { 'x-test-rivet': wallet.address }
+    });
+    const { domain: eip712Domain, types, message } = prepared.body.typedData;
+    const signature = await wallet.signTypedData(eip712Domain, { Delegation: types.Delegation }, message);
+    const issued = await request('/delegate', {
+      method: 'POST',
+      body: { delegation: prepared.body.delegation, signature }
+    });
+    if (issued.status !== 200) {
+      throw new Error(`Delegation failed: ${JSON.stringify(issued.body)}`);
+    }
+    return issued.body.token;
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await cleanup();
+  }
+
+  return { request, issue, close, bearer: token => ({ 'x-epistery-delegation': token }) };
+}
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv, readImportRows, planImport, ImportModes } from '../server/import-export.mjs';
+
+const ALICE = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const BOB = '0x5A4003E36BC5B40c3A178f3659acdc459B965066';
+const CAROL = '0x2Aa7EFa6924BdAed355E74d7B484e88A2537F1ff';
+
+describe('parseCsv', () => {
+  it('splits rows and cells', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('handles quoted commas, quotes and newlines', () => {
+    assert.deepEqual(parseCsv('"x, y","say ""hi""","two\nlines"\n'), [['x, y', 'say "hi"', 'two\nlines']]);
+  });
+
+  it('drops blank lines', () => {
+    assert.deepEqual(parseCsv('a\n\n , \nb\n'), [['a'], ['b']]);
+  });
+
+  it('reads back what toCsv writes', () => {
+    const csv = toCsv([{ address: ALICE, note: 'a, "b"' }, { address: BOB }]);
+    assert.deepEqual(parseCsv(csv), [['address', 'note'], [ALICE, 'a, "b"'], [BOB, '']]);
+  });
+});
+
+describe('readImportRows', () => {
+  it('reads a CSV with a header', () => {
+    const rows = readImportRows(`address,expiresAt\n${ALICE},2030-01-01\n${BOB},\n`, 'csv');
+    assert.deepEqual(rows, [
+      { row: 1, fields: { address: ALICE, expiresAt: '2030-01-01' } },
+      { row: 2, fields: { address: BOB } }
+    ]);
+  });
+
+  it('reads a bare list of addresses', () => {
+    assert.deepEqual(readImportRows(`${ALICE}\n${BOB}\n`, 'csv').map(row => row.fields.address), [ALICE, BOB]);
+  });
+
+  it('reads JSON addresses and records', () => {
+    assert.deepEqual(readImportRows([ALICE, { address: BOB }], 'json'), [
+      { row: 1, fields: { address: ALICE } },
+      { row: 2, fields: { address: BOB } }
+    ]);
+    assert.throws(() => readImportRows('{}', 'json'));
+  });
+});
+
+describe('planImport', () => {
+  const current = [{ address: ALICE }, { address: BOB }];
+
+  it('adds new members and leaves the rest in merge mode', () => {
+    const plan = planImport(readImportRows([ALICE.toLowerCase(), CAROL], 'json'), current);
+    assert.deepEqual(plan.add, [{ address: CAROL }]);
+    assert.deepEqual(plan.update, []);
+    assert.deepEqual(plan.remove, []);
+    assert.equal(plan.unchanged, 1);
+  });
+
+  it('removes members missing from the import in replace mode', () => {
+    const plan = planImport(readImportRows([ALICE], 'json'), current, ImportModes.REPLACE);
+    assert.deepEqual(plan.remove, [{ address: BOB }]);
+  });
+
+  it('updates members whose terms change', () => {
+    const plan = planImport(readImportRows([{ address: ALICE, expiresAt: '2030-01-01T00:00:00Z' }], 'json'), current);
+    assert.deepEqual(plan.update, [{ address: ALICE, expiresAt: Date.parse('2030-01-01T00:00:00Z') }]);
+  });
+
+  it('reports invalid and duplicate rows without stopping', () => {
+    const plan = planImport(readImportRows(['0x123', CAROL, CAROL.toLowerCase()], 'json'), current);
+    assert.deepEqual(plan.errors.map(({ row, error }) => [row, error]), [
+      [1, 'Invalid Ethereum address'],
+      [3, 'Duplicate address in import']
+    ]);
+    assert.deepEqual(plan.add, [{ address: CAROL }]);
+  });
+});
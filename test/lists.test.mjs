@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { resolveList, isValidListName, DEFAULT_LIST } from '../server/storage/lists.mjs';
+import { startAgent } from './helpers.mjs';
+
+describe('resolveList', () => {
+  const audiences = { 'blog.example.com': 'blog' };
+
+  it('uses the audience mapping, then the default list', () => {
+    assert.equal(resolveList(audiences, 'blog.example.com'), 'blog');
+    assert.equal(resolveList(audiences, 'shop.example.com'), DEFAULT_LIST);
+    assert.equal(resolveList(undefined, 'blog.example.com'), DEFAULT_LIST);
+  });
+
+  it('lets an explicit list win', () => {
+    assert.equal(resolveList(audiences, 'blog.example.com', 'members'), 'members');
+  });
+
+  it('validates list names', () => {
+    assert.equal(isValidListName('members-2'), true);
+    assert.equal(isValidListName('../etc'), false);
+  });
+});
+
+describe('token audiences on the agent', () => {
+  const owner = Wallet.createRandom();
+  const visitor = Wallet.createRandom();
+  let agent;
+
+  before(async () => {
+    agent = await startAgent({
+      owners: [owner.address],
+      audiences: { 'blog.example.com': 'blog' },
+      storage: { type: 'memory', lists: { blog: [visitor.address] } }
+    });
+  });
+
+  after(() => agent.close());
+
+  it('maps a sister domain token to its list on /check', async () => {
+    const token = await agent.issue(visitor, { domain: 'blog.example.com' });
+    const { status, body } = await agent.request('/check', { headers: agent.bearer(token) });
+    assert.equal(status, 200);
+    assert.equal(body.allowed, true);
+    assert.equal(body.list, 'blog');
+  });
+
+  it('refuses tokens for unrelated domains on /check', async () => {
+    const token = await agent.issue(visitor, { domain: 'evil.org' });
+    const { status, body } = await agent.request('/check', { headers: agent.bearer(token) });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUDIENCE_MISMATCH');
+  });
+
+  it('keeps sister domain tokens away from admin routes', async () => {
+    const scope = ['whitelist:read', 'whitelist:write', 'whitelist:admin'];
+    const sisterToken = await agent.issue(owner, { scope, domain: 'blog.example.com' });
+    const hostToken = await agent.issue(owner, { scope });
+    const member = { address: Wallet.createRandom().address };
+
+    for (const [method, path, body] of [
+      ['POST', '/add', member],
+      ['POST', '/roles/grant', { ...member, role: 'editor' }],
+      ['GET', '/audit'],
+      ['POST', '/delegations/audience/blog.example.com/revoke']
+    ]) {
+      const { status, body: result } = await agent.request(path, { method, body, headers: agent.bearer(sisterToken) });
+      assert.equal(status, 401, path);
+      assert.equal(result.code, 'AUDIENCE_MISMATCH', path);
+    }
+
+    const { status } = await agent.request('/add', { method: 'POST', body: member, headers: agent.bearer(hostToken) });
+    assert.equal(status, 200);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { getMembershipStatus, checkMembership, MembershipStatus } from '../server/membership.mjs';
+import { MemoryStorage } from '../server/storage/memory.mjs';
+import { createWhiteListAgent } from '../server/index.mjs';
+import { startRouter } from './helpers.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getMembershipStatus', () => {
+  const now = Date.now();
+
+  it('is pending before validFrom and expired from expiresAt', () => {
+    assert.equal(getMembershipStatus({ validFrom: now + 1 }, now).status, MembershipStatus.PENDING);
+    assert.deepEqual(getMembershipStatus({ expiresAt: now }, now), { status: MembershipStatus.EXPIRED, remainingMs: 0 });
+    assert.deepEqual(getMembershipStatus({ expiresAt: now + 1000 }, now), { status: MembershipStatus.ACTIVE, remainingMs: 1000 });
+    assert.deepEqual(getMembershipStatus({}, now), { status: MembershipStatus.ACTIVE, remainingMs: null });
+  });
+});
+
+describe('checkMembership', () => {
+  const [open, expired, future] = Array.from({ length: 3 }, () => Wallet.createRandom().address);
+  const storage = new MemoryStorage({
+    members: [
+      open,
+      { address: expired, expiresAt: Date.now() - DAY_MS },
+      { address: future, validFrom: Date.now() + DAY_MS }
+    ]
+  });
+
+  it('allows members without a window', async () => {
+    assert.deepEqual(await checkMembership(storage, open), { allowed: true, decidedBy: 'backend' });
+  });
+
+  it('denies members outside their window', async () => {
+    assert.equal((await checkMembership(storage, expired)).membership.status, MembershipStatus.EXPIRED);
+    assert.equal((await checkMembership(storage, expired)).allowed, false);
+    assert.equal((await checkMembership(storage, future)).allowed, false);
+    assert.equal((await checkMembership(storage, Wallet.createRandom().address)).allowed, false);
+  });
+});
+
+describe('standalone router', () => {
+  const member = Wallet.createRandom();
+  const lapsed = Wallet.createRandom();
+  let server;
+
+  before(async () => {
+    const storage = new MemoryStorage({
+      members: [member.address, { address: lapsed.address, expiresAt: Date.now() - DAY_MS }]
+    });
+    server = await startRouter(createWhiteListAgent(null, { storage }));
+  });
+
+  after(() => server.close());
+
+  it('enforces membership windows on /check', async () => {
+    const allowed = await server.request('/check', { headers: server.bearer(await server.issue(member)) });
+    assert.equal(allowed.body.allowed, true);
+
+    const denied = await server.request('/check', { headers: server.bearer(await server.issue(lapsed)) });
+    assert.equal(denied.body.allowed, false);
+    assert.equal(denied.body.membership.status, MembershipStatus.EXPIRED);
+  });
+
+  it('counts members on /status', async () => {
+    const { body } = await server.request('/status');
+    assert.equal(body.whitelistCount, 2);
+  });
+});
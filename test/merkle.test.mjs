@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Wallet, ZeroHash } from 'ethers';
+import {
+  MerkleTree,
+  DelegationRegistry,
+  LocalRootAnchor,
+  delegationLeaf,
+  verifyMerkleProof
+} from '../server/merkle.mjs';
+
+const rivets = Array.from({ length: 5 }, () => Wallet.createRandom().address);
+
+describe('MerkleTree', () => {
+  it('has the zero root when empty', () => {
+    assert.equal(new MerkleTree([]).root, ZeroHash);
+  });
+
+  it('proves every leaf, for odd and even sizes', () => {
+    for (let size = 1; size <= rivets.length; size++) {
+      const leaves = rivets.slice(0, size).map(rivet => delegationLeaf(rivet, 'blog.example.com'));
+      const tree = new MerkleTree(leaves);
+      for (const leaf of leaves) {
+        assert.equal(verifyMerkleProof(leaf, tree.getProof(leaf), tree.root), true, `size ${size}`);
+      }
+    }
+  });
+
+  it('rejects a proof for another leaf or a tampered proof', () => {
+    const leaves = rivets.map(rivet => delegationLeaf(rivet, 'blog.example.com'));
+    const tree = new MerkleTree(leaves);
+    const proof = tree.getProof(leaves[0]);
+
+    assert.equal(verifyMerkleProof(delegationLeaf(rivets[0], 'shop.example.com'), proof, tree.root), false);
+    assert.equal(verifyMerkleProof(leaves[0], [leaves[0], ...proof.slice(1)], tree.root), false);
+    assert.equal(verifyMerkleProof(leaves[0], ['not a hash'], tree.root), false);
+    assert.equal(tree.getProof(delegationLeaf(rivets[0], 'shop.example.com')), null);
+  });
+
+  it('does not depend on leaf order', () => {
+    const leaves = rivets.map(rivet => delegationLeaf(rivet, 'blog.example.com'));
+    assert.equal(new MerkleTree(leaves).root, new MerkleTree([...leaves].reverse()).root);
+  });
+});
+
+describe('DelegationRegistry', () => {
+  it('verifies proofs it handed out against published roots', async () => {
+    const anchor = new LocalRootAnchor();
+    const registry = new DelegationRegistry({ anchor, publishIntervalMs: 0 });
+    const { proof, root } = await registry.add(rivets[0], 'blog.example.com');
+    await registry.add(rivets[1], 'blog.example.com');
+
+    assert.equal(await anchor.isKnownRoot(root), true);
+    assert.equal(await registry.verify(rivets[0], 'blog.example.com', proof), true);
+    assert.equal(await registry.verify(rivets[0], 'shop.example.com', proof), false);
+    assert.equal(await registry.verify(rivets[0], 'blog.example.com', 'nope'), false);
+  });
+
+  it('batches root publication', async () => {
+    const anchor = new LocalRootAnchor();
+    const registry = new DelegationRegistry({ anchor, publishIntervalMs: 60 * 1000 });
+    await registry.add(rivets[0], 'blog.example.com');
+    const { proof } = await registry.add(rivets[1], 'blog.example.com');
+
+    assert.equal(anchor.roots.length, 1);
+    assert.notEqual(await anchor.getRoot(), registry.root);
+    // Still in the tree, so valid before its root is published
+    assert.equal(await registry.verify(rivets[1], 'blog.example.com', proof), true);
+
+    await registry.stop();
+    assert.equal(await anchor.getRoot(), registry.root);
+    assert.equal(registry.publishTimer, null);
+  });
+
+  it('rejects proofs that do not lead to a known root', async () => {
+    const registry = new DelegationRegistry({ publishIntervalMs: 0 });
+    await registry.add(rivets[0], 'blog.example.com');
+    await registry.add(rivets[1], 'blog.example.com');
+    const leaf = delegationLeaf(rivets[2], 'blog.example.com');
+
+    assert.equal(await registry.verify(rivets[1], 'blog.example.com', []), false);
+    assert.equal(await registry.verify(rivets[1], 'blog.example.com', [leaf]), false);
+  });
+
+  it('forgets removed leaves', async () => {
+    const anchor = new LocalRootAnchor({ historySize: 1 });
+    const registry = new DelegationRegistry({ anchor, publishIntervalMs: 0 });
+    const { proof } = await registry.add(rivets[0], 'blog.example.com');
+    await registry.add(rivets[1], 'blog.example.com');
+
+    assert.equal(await registry.removeWhere(entry => entry.rivet === rivets[0]), 1);
+    assert.equal(registry.has(rivets[0], 'blog.example.com'), false);
+    assert.equal(await registry.verify(rivets[0], 'blog.example.com', proof), false);
+  });
+
+  it('keeps the scope last approved for each leaf', async () => {
+    const registry = new DelegationRegistry({ publishIntervalMs: 0 });
+    assert.equal(registry.getScope(rivets[0], 'blog.example.com'), null);
+
+    await registry.add(rivets[0], 'blog.example.com', { scope: ['whitelist:read', 'whitelist:write'] });
+    const root = registry.root;
+    await registry.add(rivets[0], 'blog.example.com', { scope: ['whitelist:read'] });
+
+    assert.deepEqual(registry.getScope(rivets[0], 'blog.example.com'), ['whitelist:read']);
+    assert.equal(registry.root, root);
+  });
+
+  it('prunes a leaf once its last delegation expires', async () => {
+    const registry = new DelegationRegistry({ publishIntervalMs: 0, pruneIntervalMs: 0 });
+    const now = Date.now();
+    await registry.add(rivets[0], 'blog.example.com', { expires: now + 2000 });
+    await registry.add(rivets[0], 'blog.example.com', { expires: now + 1000 });
+    await registry.add(rivets[1], 'blog.example.com', { expires: now + 1000 });
+
+    assert.equal(await registry.prune(now + 1000), 1);
+    assert.equal(registry.has(rivets[0], 'blog.example.com'), true);
+    assert.equal(registry.has(rivets[1], 'blog.example.com'), false);
+    assert.equal(await registry.prune(now + 2000), 1);
+    assert.equal(registry.size, 0);
+  });
+
+  it('restores leaves and scopes from its file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    try {
+      const path = join(dir, 'nested', 'delegations.json');
+      const first = new DelegationRegistry({ path, publishIntervalMs: 0 });
+      const { proof } = await first.add(rivets[0], 'blog.example.com', { scope: ['whitelist:read'] });
+      await first.add(rivets[1], 'blog.example.com');
+      assert.equal(existsSync(`${path}.tmp`), false);
+
+      const anchor = new LocalRootAnchor();
+      const second = new DelegationRegistry({ anchor, path, publishIntervalMs: 0 });
+      assert.equal(second.root, first.root);
+      assert.equal(await anchor.getRoot(), first.root);
+      assert.deepEqual(second.getScope(rivets[0], 'blog.example.com'), ['whitelist:read']);
+      assert.deepEqual([...second.entries.values()], [...first.entries.values()]);
+      // The proof was made against a root the new anchor never saw
+      assert.equal(await second.verify(rivets[0], 'blog.example.com', proof), true);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { Wallet } from 'ethers';
+import { requireWhitelist } from '../server/middleware.mjs';
+import { MemoryStorage } from '../server/storage/memory.mjs';
+import { startAgent, startRouter } from './helpers.mjs';
+
+const BLOG = 'blog.example.com';
+
+describe('requireWhitelist', () => {
+  const member = Wallet.createRandom();
+  const stranger = Wallet.createRandom();
+  let agent;
+  let backend;
+
+  before(async () => {
+    agent = await startAgent({
+      audiences: { [BLOG]: 'blog' },
+      storage: { type: 'memory', lists: { blog: [member.address] } }
+    });
+
+    const router = express.Router();
+    const show = (req, res) => res.json(req.episteryAccess);
+    router.get('/article', requireWhitelist({ agent: agent.agent, redirect: 'https://epistery.example.com/delegate' }), show);
+    router.get('/teaser', requireWhitelist({ agent: agent.agent, passive: true }), show);
+    router.get('/admin', requireWhitelist({ agent: agent.agent, scope: 'whitelist:admin' }), show);
+    backend = await startRouter(router);
+  });
+
+  after(async () => {
+    await backend.close();
+    await agent.close();
+  });
+
+  const get = (path, token, headers = {}) =>
+    backend.request(path, { host: BLOG, headers: { ...(token && backend.bearer(token)), ...headers } });
+
+  it('lets members through with their list', async () => {
+    const { status, body } = await get('/article', await agent.issue(member, { domain: BLOG }));
+    assert.equal(status, 200);
+    assert.equal(body.allowed, true);
+    assert.equal(body.list, 'blog');
+    assert.equal(body.mode, 'required');
+  });
+
+  it('refuses non-members and tokens for other hosts', async () => {
+    assert.equal((await get('/article', await agent.issue(stranger, { domain: BLOG }))).status, 403);
+
+    const { status, body } = await get('/article', await agent.issue(member));
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUDIENCE_MISMATCH');
+  });
+
+  it('sends browsers without a token to get one', async () => {
+    const { status, headers } = await get('/article', null, { accept: 'text/html' });
+    assert.equal(status, 302);
+    assert.equal(headers.get('location'), 'https://epistery.example.com/delegate');
+    assert.equal((await get('/article')).status, 401);
+  });
+
+  it('never blocks in passive mode', async () => {
+    const anonymous = await get('/teaser');
+    assert.equal(anonymous.status, 200);
+    assert.equal(anonymous.body.mode, 'passive');
+
+    const known = await get('/teaser', await agent.issue(stranger, { domain: BLOG }));
+    assert.equal(known.body.mode, 'delegated');
+    assert.equal(known.body.allowed, false);
+  });
+
+  it('checks the scope against the subject role', async () => {
+    const { status } = await get('/admin', await agent.issue(member, { domain: BLOG, scope: ['whitelist:admin'] }));
+    assert.equal(status, 403);
+  });
+
+  it('needs a storage provider, and roles to check scope', () => {
+    assert.throws(() => requireWhitelist({}), /agent or a storage provider/);
+    assert.throws(() => requireWhitelist({ storage: new MemoryStorage(), scope: 'whitelist:read' }), /role registry/);
+  });
+});
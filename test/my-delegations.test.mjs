@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { decodeDelegationToken } from '../server/delegation.mjs';
+import { startAgent } from './helpers.mjs';
+
+describe('my delegations', () => {
+  const alice = Wallet.createRandom();
+  const mallory = Wallet.createRandom();
+  let agent;
+
+  before(async () => {
+    agent = await startAgent();
+  });
+
+  after(() => agent.close());
+
+  const asRivet = wallet => ({ 'x-test-rivet': wallet.address });
+
+  it('lists only the signed-in rivet\'s active delegations', async () => {
+    const token = await agent.issue(alice, { domain: 'blog.example.com' });
+    await agent.issue(mallory, { domain: 'blog.example.com' });
+
+    const { status, body } = await agent.request('/delegations/mine', { headers: asRivet(alice) });
+    assert.equal(status, 200);
+    assert.deepEqual(body.delegations.map(d => d.nonce), [decodeDelegationToken(token).delegation.nonce]);
+    assert.equal((await agent.request('/delegations/mine')).status, 401);
+  });
+
+  it('lets only the subject revoke a delegation', async () => {
+    const token = await agent.issue(alice, { domain: 'shop.example.com' });
+    const { nonce } = decodeDelegationToken(token).delegation;
+    const revoke = headers => agent.request(`/delegations/${nonce}/revoke`, { method: 'POST', headers });
+
+    assert.equal((await revoke(agent.bearer(await agent.issue(mallory)))).status, 403);
+    // A session alone is not enough from another origin (CSRF)
+    assert.equal((await revoke({ ...asRivet(alice), origin: 'https://evil.org' })).status, 401);
+    assert.equal((await revoke(agent.bearer(await agent.issue(alice)))).status, 200);
+
+    const { body } = await agent.request('/delegations/mine', { headers: asRivet(alice) });
+    assert.equal(body.delegations.some(d => d.nonce === nonce), false);
+    assert.equal(agent.agent.delegations.has(alice.address, 'shop.example.com'), false);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { ReceiptIssuer, verifyAccessReceipt } from '../server/receipts.mjs';
+import { startAgent } from './helpers.mjs';
+
+const ADDRESS = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const CLAIMS = { issuer: 'epistery.example.com', address: ADDRESS, audience: 'blog.example.com', list: 'blog' };
+
+describe('access receipts', () => {
+  const issuer = new ReceiptIssuer({ ttlSeconds: 60 });
+  const jwks = issuer.getJwks();
+
+  it('verifies against the JWKS with the expected audience and list', () => {
+    const { receipt } = issuer.issue(CLAIMS);
+    const result = verifyAccessReceipt(receipt, { jwks, audience: 'blog.example.com', list: 'blog' });
+    assert.equal(result.valid, true);
+    assert.equal(result.claims.sub, ADDRESS);
+    assert.equal(verifyAccessReceipt(receipt, { jwks, audience: 'members.example.com' }).valid, false);
+    assert.equal(verifyAccessReceipt(receipt, { jwks, list: 'members' }).valid, false);
+  });
+
+  it('never outlives its bounds', () => {
+    const now = Date.now();
+    const { receipt, expiresAt } = issuer.issue(CLAIMS, { notAfter: [now + 10 * 1000], now });
+    assert.equal(expiresAt, Math.floor((now + 10 * 1000) / 1000) * 1000);
+    assert.equal(verifyAccessReceipt(receipt, { jwks, now: now + 11 * 1000 }).error, 'Receipt expired');
+  });
+
+  it('rejects tampered receipts and unknown keys', () => {
+    const { receipt } = issuer.issue(CLAIMS);
+    const [header, , signature] = receipt.split('.');
+    const payload = Buffer.from(JSON.stringify({ ...CLAIMS, list: 'members', exp: 9999999999 })).toString('base64url');
+    assert.equal(verifyAccessReceipt(`${header}.${payload}.${signature}`, { jwks }).valid, false);
+    assert.equal(verifyAccessReceipt(receipt, { jwks: new ReceiptIssuer().getJwks() }).error, 'Unknown signing key');
+    assert.equal(verifyAccessReceipt('nope', { jwks }).error, 'Malformed receipt');
+  });
+
+  it('refuses a ttl above the maximum', () => {
+    assert.throws(() => new ReceiptIssuer({ ttlSeconds: 7200 }));
+  });
+});
+
+describe('receipts from /check', () => {
+  const visitor = Wallet.createRandom();
+  let agent;
+
+  before(async () => {
+    agent = await startAgent({
+      audiences: { 'members.example.com': 'members' },
+      storage: { type: 'memory', lists: { members: [visitor.address], free: [visitor.address] } }
+    });
+  });
+
+  after(() => agent.close());
+
+  it('signs the list mapped to the audience', async () => {
+    const token = await agent.issue(visitor, { domain: 'members.example.com' });
+    const { body } = await agent.request('/check?receipt=1', { headers: agent.bearer(token) });
+    const { body: jwks } = await agent.request('/.well-known/jwks.json');
+
+    const result = verifyAccessReceipt(body.receipt, { jwks, audience: 'members.example.com', list: 'members' });
+    assert.equal(result.valid, true);
+  });
+
+  it('refuses a receipt for another list than the mapped one', async () => {
+    const token = await agent.issue(visitor, { domain: 'members.example.com' });
+    const { status, body } = await agent.request('/check?receipt=1&list=free', { headers: agent.bearer(token) });
+    assert.equal(status, 400);
+    assert.equal(body.receipt, undefined);
+  });
+});
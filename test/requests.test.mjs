@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { AccessRequestStore, RequestErrors, RequestStatuses, getSourceNetwork } from '../server/requests.mjs';
+
+const address = () => Wallet.createRandom().address;
+
+describe('AccessRequestStore', () => {
+  it('keeps one pending request per address and list', () => {
+    const store = new AccessRequestStore();
+    const visitor = address();
+    const { request } = store.create({ address: visitor, list: 'members' });
+    assert.equal(request.status, RequestStatuses.PENDING);
+
+    const duplicate = store.create({ address: visitor.toLowerCase(), list: 'members' });
+    assert.equal(duplicate.code, RequestErrors.DUPLICATE);
+    assert.equal(duplicate.request.id, request.id);
+    assert.ok(store.create({ address: visitor, list: 'blog' }).request);
+  });
+
+  it('makes a rejected visitor wait before asking again', () => {
+    const store = new AccessRequestStore({ retryAfterMs: 1000 });
+    const visitor = address();
+    const now = Date.now();
+    const { request } = store.create({ address: visitor, list: 'members' }, now);
+    store.decide(request.id, RequestStatuses.REJECTED, {}, now);
+
+    const early = store.create({ address: visitor, list: 'members' }, now + 400);
+    assert.equal(early.code, RequestErrors.TOO_SOON);
+    assert.equal(early.retryAfterMs, 600);
+    assert.ok(store.create({ address: visitor, list: 'members' }, now + 1000).request);
+  });
+
+  it('caps pending requests per address', () => {
+    const store = new AccessRequestStore({ maxPendingPerAddress: 2 });
+    const visitor = address();
+    store.create({ address: visitor, list: 'a' });
+    store.create({ address: visitor, list: 'b' });
+    assert.equal(store.create({ address: visitor, list: 'c' }).code, RequestErrors.QUEUE_FULL);
+  });
+
+  it('caps pending requests per source, grouping IPv6 by /64', () => {
+    const store = new AccessRequestStore({ maxPendingPerSource: 2 });
+    store.create({ address: address(), list: 'members', source: '2001:db8:1:2::1' });
+    store.create({ address: address(), list: 'members', source: '2001:db8:1:2:aaaa::2' });
+
+    const rotated = store.create({ address: address(), list: 'members', source: '2001:0db8:0001:0002:ffff::3' });
+    assert.equal(rotated.code, RequestErrors.QUEUE_FULL);
+    assert.ok(store.create({ address: address(), list: 'members', source: '2001:db8:1:3::1' }).request);
+  });
+
+  it('caps the whole queue whatever the sources', () => {
+    const store = new AccessRequestStore({ maxPending: 3 });
+    for (let i = 0; i < 3; i++) {
+      assert.ok(store.create({ address: address(), list: 'members', source: `203.0.113.${i}` }).request);
+    }
+    assert.equal(store.create({ address: address(), list: 'members', source: '198.51.100.1' }).code, RequestErrors.QUEUE_FULL);
+  });
+});
+
+describe('getSourceNetwork', () => {
+  it('groups IPv6 by /64 and unwraps IPv4-mapped addresses', () => {
+    assert.equal(getSourceNetwork('2001:db8::1'), '2001:db8:0:0::/64');
+    assert.equal(getSourceNetwork('fe80::1%eth0'), 'fe80:0:0:0::/64');
+    assert.equal(getSourceNetwork('::ffff:203.0.113.7'), '203.0.113.7');
+    assert.equal(getSourceNetwork('203.0.113.7'), '203.0.113.7');
+    assert.equal(getSourceNetwork(null), null);
+  });
+});
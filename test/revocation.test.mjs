@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Wallet } from 'ethers';
+import { RevocationStore } from '../server/revocation.mjs';
+import { decodeDelegationToken } from '../server/delegation.mjs';
+import WhiteListAgent from '../index.mjs';
+import { startAgent } from './helpers.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBJECT = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+
+function delegation(overrides = {}) {
+  const createdAt = Date.now() - 1000;
+  return {
+    subject: SUBJECT,
+    audience: 'blog.example.com',
+    scope: ['whitelist:read'],
+    nonce: `nonce-${Math.random()}`,
+    createdAt,
+    expires: createdAt + 30 * DAY_MS,
+    ...overrides
+  };
+}
+
+function store(options = {}) {
+  return new RevocationStore({ pruneIntervalMs: 0, ...options });
+}
+
+describe('RevocationStore', () => {
+  it('refuses a nonce issued twice', () => {
+    const revocations = store();
+    const issued = delegation();
+    assert.equal(revocations.recordIssued(issued), true);
+    assert.equal(revocations.recordIssued(issued), false);
+  });
+
+  it('revokes a single delegation by nonce', () => {
+    const revocations = store();
+    const revoked = delegation();
+    const other = delegation();
+    revocations.recordIssued(revoked);
+    revocations.recordIssued(other);
+
+    revocations.revoke(revoked.nonce);
+
+    assert.equal(revocations.isRevoked(revoked), 'Delegation revoked');
+    assert.equal(revocations.isRevoked(other), null);
+    assert.deepEqual(revocations.getActive(SUBJECT).map(entry => entry.nonce), [other.nonce]);
+  });
+
+  it('revokes what a subject was issued before, not after', () => {
+    const revocations = store();
+    const before = delegation();
+    revocations.revokeSubject(SUBJECT.toLowerCase());
+    const after = delegation({ createdAt: Date.now() + 1000 });
+
+    assert.equal(revocations.isRevoked(before), 'All delegations for this address were revoked');
+    assert.equal(revocations.isRevoked(after), null);
+  });
+
+  it('revokes what an audience was issued before', () => {
+    const revocations = store();
+    revocations.revokeAudience('blog.example.com');
+    assert.equal(revocations.isRevoked(delegation()), 'All delegations for this domain were revoked');
+    assert.equal(revocations.isRevoked(delegation({ audience: 'shop.example.com' })), null);
+  });
+
+  it('prunes entries once no token they cover can be valid', () => {
+    const revocations = store();
+    const issued = delegation();
+    revocations.recordIssued(issued);
+    revocations.revoke(issued.nonce);
+    revocations.revokeSubject(SUBJECT);
+
+    assert.equal(revocations.prune(issued.expires - 1), 0);
+    assert.equal(revocations.prune(issued.expires + 1), 2);
+    assert.equal(revocations.prune(Date.now() + 91 * DAY_MS), 1);
+    assert.equal(revocations.isRevoked(issued), null);
+  });
+
+  it('keeps revocations in its file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    try {
+      const path = join(dir, 'revocations.json');
+      const issued = delegation();
+      const first = store({ path });
+      first.recordIssued(issued);
+      first.revoke(issued.nonce);
+
+      const second = store({ path });
+      assert.equal(second.isRevoked(issued), 'Delegation revoked');
+      assert.equal(second.recordIssued(issued), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('persisted delegations', () => {
+  it('refuses a tree file without a revocation file', () => {
+    assert.throws(() => new WhiteListAgent({ storage: { type: 'memory' }, delegationTreeFile: '/tmp/never-written.json' }));
+    assert.throws(() => new WhiteListAgent({ storage: { type: 'memory' }, revocationFile: '/tmp/never-written.json' }));
+  });
+
+  it('keeps a revoked token revoked after a restart', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    const config = {
+      delegationTreeFile: join(dir, 'delegations.json'),
+      revocationFile: join(dir, 'revocations.json')
+    };
+    const visitor = Wallet.createRandom();
+    const first = await startAgent(config);
+    let second = null;
+    try {
+      const token = await first.issue(visitor);
+      const { nonce } = decodeDelegationToken(token).delegation;
+      const revoked = await first.request(`/delegations/${nonce}/revoke`, { method: 'POST', headers: first.bearer(token) });
+      assert.equal(revoked.status, 200);
+      await first.close();
+
+      second = await startAgent(config);
+      const { status, body } = await second.request('/check', { headers: second.bearer(token) });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'TOKEN_REVOKED');
+    } finally {
+      await (second || first).close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { RoleRegistry, Roles, Permissions } from '../server/roles.mjs';
+import { decodeDelegationToken, signDelegation } from '../server/delegation.mjs';
+import { startAgent, EPISTERY_HOST } from './helpers.mjs';
+
+const OWNER = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const ADMIN = '0x5A4003E36BC5B40c3A178f3659acdc459B965066';
+const EDITOR = '0x2Aa7EFa6924BdAed355E74d7B484e88A2537F1ff';
+
+describe('RoleRegistry', () => {
+  it('derives permissions from roles', () => {
+    const roles = new RoleRegistry({ owners: [OWNER], roles: { [EDITOR]: Roles.EDITOR } });
+    assert.equal(roles.getRole(OWNER.toLowerCase()), Roles.OWNER);
+    assert.equal(roles.hasPermission(EDITOR, Permissions.WRITE), true);
+    assert.equal(roles.hasPermission(EDITOR, Permissions.ADMIN), false);
+    assert.equal(roles.hasPermission(ADMIN, Permissions.READ), false);
+    assert.deepEqual(roles.checkScopes(EDITOR, [Permissions.READ, Permissions.ADMIN]), {
+      held: [Permissions.READ],
+      missing: [Permissions.ADMIN]
+    });
+    assert.throws(() => new RoleRegistry({ roles: { [EDITOR]: 'superuser' } }), /Unknown role/);
+  });
+
+  it('lets owners manage admins, and admins only editors and viewers', () => {
+    const roles = new RoleRegistry({ owners: [OWNER] });
+    roles.grant(ADMIN, Roles.ADMIN, { by: OWNER });
+    assert.equal(roles.canManage(OWNER, Roles.ADMIN), true);
+    assert.equal(roles.canManage(ADMIN, Roles.EDITOR), true);
+    assert.equal(roles.canManage(ADMIN, Roles.ADMIN), false);
+    assert.equal(roles.canManage(EDITOR, Roles.VIEWER), false);
+  });
+
+  it('keeps config roles fixed and at least one owner', () => {
+    const roles = new RoleRegistry({ owners: [OWNER] });
+    assert.throws(() => roles.grant(OWNER, Roles.VIEWER), /agent config/);
+    assert.throws(() => roles.revoke(OWNER), /agent config/);
+
+    const granted = new RoleRegistry();
+    granted.grant(ADMIN, Roles.OWNER);
+    assert.throws(() => granted.revoke(ADMIN), /last owner/);
+    assert.equal(granted.revoke(EDITOR), null);
+  });
+});
+
+describe('roles on the agent', () => {
+  const owner = Wallet.createRandom();
+  const admin = Wallet.createRandom();
+  const editor = Wallet.createRandom();
+  const allScopes = [Permissions.READ, Permissions.WRITE, Permissions.ADMIN];
+  let agent;
+
+  before(async () => {
+    agent = await startAgent({ owners: [owner.address] });
+  });
+
+  after(() => agent.close());
+
+  const grant = (token, address, role) =>
+    agent.request('/roles/grant', { method: 'POST', body: { address, role }, headers: agent.bearer(token) });
+
+  it('refuses to sign scopes the subject does not hold', async () => {
+    const token = await agent.issue(editor, { scope: [Permissions.ADMIN] });
+    assert.deepEqual(decodeDelegationToken(token).delegation.scope, []);
+
+    // A delegation widened after /delegate/prepare
+    const prepared = await agent.request('/delegate/prepare', {
+      method: 'POST',
+      body: { domain: EPISTERY_HOST, scope: [] },
+      headers: { 'x-test-rivet': editor.address }
+    });
+    const delegation = { ...prepared.body.delegation, scope: [Permissions.ADMIN] };
+    const signature = await signDelegation(delegation, editor);
+    const { status, body } = await agent.request('/delegate', { method: 'POST', body: { delegation, signature } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'SCOPE_NOT_GRANTED');
+  });
+
+  it('lets each role grant only the roles below it', async () => {
+    const ownerToken = await agent.issue(owner, { scope: allScopes });
+    assert.equal((await grant(ownerToken, admin.address, Roles.ADMIN)).status, 200);
+
+    const adminToken = await agent.issue(admin, { scope: allScopes });
+    assert.equal((await grant(adminToken, editor.address, Roles.OWNER)).status, 403);
+    assert.equal((await grant(adminToken, editor.address, Roles.EDITOR)).status, 200);
+  });
+
+  it('needs both the token scope and the current role', async () => {
+    const member = { address: Wallet.createRandom().address };
+    const readOnly = await agent.issue(editor, { scope: [Permissions.READ] });
+    assert.equal((await agent.request('/add', { method: 'POST', body: member, headers: agent.bearer(readOnly) })).status, 403);
+
+    const writer = await agent.issue(editor, { scope: [Permissions.READ, Permissions.WRITE] });
+    assert.equal((await agent.request('/add', { method: 'POST', body: member, headers: agent.bearer(writer) })).status, 200);
+
+    const ownerToken = await agent.issue(owner, { scope: allScopes });
+    const revoked = await agent.request('/roles/revoke', {
+      method: 'POST',
+      body: { address: editor.address },
+      headers: agent.bearer(ownerToken)
+    });
+    assert.equal(revoked.status, 200);
+    assert.equal((await agent.request('/add', { method: 'POST', body: member, headers: agent.bearer(writer) })).status, 403);
+  });
+});
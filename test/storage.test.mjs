@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStorage, MemoryStorage, JsonFileStorage, EpisteryStorage } from '../server/storage/index.mjs';
+
+const ALICE = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb1';
+const BOB = '0x5A4003E36BC5B40c3A178f3659acdc459B965066';
+
+describe('createStorage', () => {
+  it('builds providers from config and passes instances through', () => {
+    assert.ok(createStorage({ type: 'memory' }) instanceof MemoryStorage);
+    assert.ok(createStorage() instanceof EpisteryStorage);
+    const provider = new MemoryStorage();
+    assert.equal(createStorage(provider), provider);
+    assert.throws(() => createStorage({ type: 'redis' }), /Unknown white-list storage type/);
+  });
+});
+
+describe('MemoryStorage', () => {
+  it('matches addresses case-insensitively and keeps metadata', async () => {
+    const storage = new MemoryStorage({ members: [ALICE], lists: { blog: [{ address: BOB, expiresAt: 1 }] } });
+    assert.equal(await storage.isMember(ALICE.toLowerCase()), true);
+    assert.equal(await storage.isMember(BOB), false);
+    assert.deepEqual(await storage.getMember(BOB, 'blog'), { address: BOB, expiresAt: 1 });
+
+    await storage.updateMember(BOB.toLowerCase(), 'blog', { expiresAt: 2 });
+    assert.deepEqual(await storage.getMemberRecords('blog'), [{ address: BOB, expiresAt: 2 }]);
+
+    await storage.removeMember(ALICE);
+    assert.deepEqual(await storage.getMembers(), []);
+    assert.deepEqual(await storage.getLists(), ['default', 'blog']);
+  });
+});
+
+describe('JsonFileStorage', () => {
+  it('persists every change and reads the legacy format', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'white-list-'));
+    try {
+      const path = join(dir, 'members.json');
+      writeFileSync(path, JSON.stringify({ members: [ALICE] }));
+
+      const storage = new JsonFileStorage({ path });
+      assert.equal(await storage.isMember(ALICE), true);
+      await storage.addMember(BOB, 'blog', { expiresAt: 1 });
+
+      assert.deepEqual(JSON.parse(readFileSync(path, 'utf8')).lists.blog, [{ expiresAt: 1, address: BOB }]);
+      assert.deepEqual(await new JsonFileStorage({ path }).getMember(BOB, 'blog'), { expiresAt: 1, address: BOB });
+      assert.throws(() => new JsonFileStorage({}));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('EpisteryStorage', () => {
+  function fakeEpistery() {
+    const whitelist = new Set();
+    return {
+      isWhitelisted: async address => whitelist.has(address),
+      getWhitelist: async () => [...whitelist],
+      addToWhitelist: async address => whitelist.add(address),
+      removeFromWhitelist: async address => whitelist.delete(address)
+    };
+  }
+
+  it('maps the default list onto the epistery whitelist and keeps metadata beside it', async () => {
+    const epistery = fakeEpistery();
+    const storage = new EpisteryStorage(() => epistery);
+
+    await storage.addMember(ALICE, 'default', { expiresAt: 1 });
+    assert.deepEqual(await storage.getMember(ALICE), { expiresAt: 1, address: ALICE });
+    assert.deepEqual(await storage.getMembers(), [ALICE]);
+
+    await storage.removeMember(ALICE);
+    assert.equal(await storage.getMember(ALICE), null);
+  });
+
+  it('fails clearly without epistery or list support', async () => {
+    await assert.rejects(new EpisteryStorage(() => null).isMember(ALICE), /Epistery not initialized/);
+    await assert.rejects(new EpisteryStorage(() => fakeEpistery()).isMember(ALICE, 'blog'), /not supported/);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookDispatcher, verifyWebhookSignature, signWebhook, DeliveryStatuses } from '../server/webhooks.mjs';
+
+const SECRET = 'shh';
+
+/**
+ * fetch stand-in answering with the given statuses in turn (then the last one)
+ */
+function fakeFetch(...statuses) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    if (status instanceof Error) {
+      throw status;
+    }
+    return { status, ok: status >= 200 && status < 300, body: null };
+  };
+  return { fetch, requests };
+}
+
+async function settled(delivery) {
+  while (delivery.status === DeliveryStatuses.PENDING) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return delivery;
+}
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'member.added' });
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+
+  it('accepts a fresh signature made with the secret', () => {
+    const signature = signWebhook(body, SECRET, timestamp);
+    assert.equal(verifyWebhookSignature(body, { signature, timestamp: String(timestamp) }, SECRET, { now }), true);
+  });
+
+  it('rejects another secret, body or an old timestamp', () => {
+    const signature = signWebhook(body, SECRET, timestamp);
+    assert.equal(verifyWebhookSignature(body, { signature, timestamp }, 'other', { now }), false);
+    assert.equal(verifyWebhookSignature(body + ' ', { signature, timestamp }, SECRET, { now }), false);
+    assert.equal(verifyWebhookSignature(body, { signature, timestamp }, SECRET, { now: now + 10 * 60 * 1000 }), false);
+    assert.equal(verifyWebhookSignature(body, { timestamp }, SECRET, { now }), false);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  const endpoint = { url: 'https://hooks.example.com/white-list', secret: SECRET };
+
+  it('signs deliveries to subscribed endpoints only', async () => {
+    const { fetch, requests } = fakeFetch(200);
+    const webhooks = new WebhookDispatcher({
+      fetch,
+      endpoints: [{ ...endpoint, events: ['member.added'] }, { ...endpoint, url: 'https://other.example.com/', events: ['member.removed'] }]
+    });
+
+    const [delivery] = await webhooks.dispatch('member.added', { address: '0x1' });
+    assert.equal(delivery.status, DeliveryStatuses.DELIVERED);
+    assert.equal(requests.length, 1);
+
+    const { headers, body } = requests[0];
+    assert.equal(headers['X-Epistery-Event'], 'member.added');
+    assert.equal(JSON.parse(body).data.address, '0x1');
+    assert.equal(verifyWebhookSignature(body, {
+      signature: headers['X-Epistery-Signature'],
+      timestamp: headers['X-Epistery-Timestamp']
+    }, SECRET), true);
+  });
+
+  it('retries with the same delivery id until it gets through', async () => {
+    const { fetch, requests } = fakeFetch(new Error('connect ECONNREFUSED'), 500, 204);
+    const webhooks = new WebhookDispatcher({ fetch, backoffMs: 1, endpoints: [endpoint] });
+
+    const [delivery] = await webhooks.dispatch('member.added', {});
+    await settled(delivery);
+    assert.equal(delivery.status, DeliveryStatuses.DELIVERED);
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.error), ['connect ECONNREFUSED', 'HTTP 500', null]);
+    assert.equal(new Set(requests.map(request => request.headers['X-Epistery-Delivery'])).size, 1);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const { fetch, requests } = fakeFetch(503);
+    const webhooks = new WebhookDispatcher({ fetch, backoffMs: 1, maxAttempts: 3, endpoints: [endpoint] });
+
+    const [delivery] = await webhooks.dispatch('member.added', {});
+    await settled(delivery);
+    assert.equal(delivery.status, DeliveryStatuses.FAILED);
+    assert.equal(requests.length, 3);
+    assert.deepEqual(webhooks.getDeliveries({ status: DeliveryStatuses.FAILED }).map(d => d.id), [delivery.id]);
+  });
+
+  it('validates endpoints and hides their secrets', () => {
+    assert.throws(() => new WebhookDispatcher({ endpoints: [{ url: 'ftp://example.com', secret: SECRET }] }), /http\(s\) URL/);
+    assert.throws(() => new WebhookDispatcher({ endpoints: [{ url: endpoint.url }] }), /secret is required/);
+    assert.deepEqual(new WebhookDispatcher({ endpoints: [endpoint] }).getEndpoints(), [{ id: '0', url: endpoint.url, events: ['*'] }]);
+  });
+});